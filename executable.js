@@ -2,11 +2,27 @@
 
 process.stdin.setEncoding("utf8");
 
-import { AsciiRenderer } from "./lib/AsciiRenderer.js";
+import readline from "readline";
+import { AsciiRenderer, BORDER_STYLE_NAMES, FIT_MODES } from "./lib/AsciiRenderer.js";
+import { VerticalRenderer, LAYOUTS } from "./lib/VerticalRenderer.js";
 import { MarkdownRenderer } from "./lib/MarkdownRenderer.js";
 import { CsvRenderer } from "./lib/CsvRenderer.js";
+import { HtmlRenderer } from "./lib/HtmlRenderer.js";
 import { Table } from "./lib/Table.js";
-import { TableParser } from "./lib/TableParser.js";
+import { TableParser, validateOverflow } from "./lib/TableParser.js";
+import { InputParserFactory, INPUT_FORMATS } from "./lib/InputParser.js";
+import { StreamRenderer, STREAM_FORMATS } from "./lib/StreamRenderer.js";
+import { expandFilePatterns, readInputFiles, SOURCE_FIELD } from "./lib/FileInput.js";
+import { parseStructure } from "./lib/Structure.js";
+import { parseRootPath } from "./lib/RootPath.js";
+import { resolveSortKeys } from "./lib/Sort.js";
+import { createFilter } from "./lib/Expression.js";
+import { validateAggregates } from "./lib/Aggregate.js";
+import { validateColorRules } from "./lib/ColorRules.js";
+import { COLOR_MODES, parseStyleSpec, resolveColorLevel, validateStyles } from "./lib/AnsiStyle.js";
+import { ValueFormatterFactory } from "./lib/ValueFormatter.js";
+import { pivotRecords, resolvePivotStructure, PIVOT_TOTALS } from "./lib/Pivot.js";
+import { transposeTable } from "./lib/Transpose.js";
 
 // Read from stdin
 async function readStdIn() {
@@ -23,9 +39,87 @@ async function readStdIn() {
 
 const args = process.argv.splice(2);
 
+/**
+ * Remove a "--name value" flag pair from args and return its value (undefined when absent)
+ */
+function extractFlag(name) {
+  const flagIndex = args.indexOf(`--${name}`);
+  if (flagIndex === -1 || flagIndex + 1 >= args.length) {
+    return undefined;
+  }
+  const value = args[flagIndex + 1];
+  args.splice(flagIndex, 2);
+  return value;
+}
+
 // Parse arguments - handle both positional and flag formats
 let format, structure = "", lineNumbers = false, showInvalidLines = false;
 
+// Input format: json (default, a single document), ndjson (one JSON value per line), csv, tsv or yaml
+const inputFormat = extractFlag('inputFormat') || 'json';
+
+// CSV/TSV input: field delimiter override and number/boolean type inference
+const delimiter = extractFlag('delimiter') || '';
+const inferTypes = extractFlag('inferTypes') === 'true';
+
+// Streaming: render records as they arrive, freezing the layout after the first sampleSize records
+const stream = extractFlag('stream') === 'true';
+const sampleSize = parseInt(extractFlag('sampleSize')) || undefined;
+
+// Input files: comma-separated paths or globs (the flag may be repeated); stdin when absent
+const filePatterns = [];
+let filesValue;
+while ((filesValue = extractFlag('files')) !== undefined) {
+  filePatterns.push(...filesValue.split(',').map(file => file.trim()).filter(file => file));
+}
+
+// Root path selecting the array (or object) to tabulate inside each document, e.g. data.items
+const root = extractFlag('root') || '';
+
+// Sort keys, e.g. "age:desc,name"; replaces the sort:asc|desc properties of the structure
+const sort = extractFlag('sort') || '';
+
+// Group the rows by the value of a field, e.g. customer; columns with agg properties get subtotals
+const groupBy = extractFlag('groupBy') || '';
+
+// Pivot mode: the structure names a row key, a column key and an aggregated value
+const pivot = extractFlag('pivot') === 'true';
+const pivotTotals = extractFlag('pivotTotals') || 'none';
+
+// Transposed output: one row per field and one column per record
+const transpose = extractFlag('transpose') === 'true';
+
+// Row filter expression, e.g. 'status = "failed" and total > 100'
+const where = extractFlag('where') || '';
+
+// HTML output: emit a complete page instead of a <table> fragment
+const standalone = extractFlag('standalone') === 'true';
+
+// ASCII output: border style around the cells and optional separator lines between data rows
+const border = extractFlag('border') || 'none';
+const rowSeparator = extractFlag('rowSeparator') === 'true';
+
+// ASCII output: shrink text columns to fit this many characters (the terminal width by default
+// when stdout is a terminal, 0 disables fitting) by wrapping or truncating them
+const maxWidthValue = extractFlag('maxWidth');
+const maxWidth = maxWidthValue !== undefined && maxWidthValue !== ''
+  ? parseInt(maxWidthValue)
+  : (process.stdout.isTTY && process.stdout.columns) || 0;
+const fit = extractFlag('fit') || 'wrap';
+
+// ASCII output: horizontal table or vertical record blocks (-[ RECORD n ]-)
+const layout = extractFlag('layout') || 'horizontal';
+
+// ASCII output: style of the header labels, e.g. bold+cyan (see lib/AnsiStyle.js)
+const headerStyle = extractFlag('headerStyle') || 'yellow';
+
+// ASCII output: colors always, never, or only on a terminal (NO_COLOR, FORCE_COLOR and TERM=dumb
+// are honored in auto mode)
+const color = extractFlag('color') || 'auto';
+
+// Add a leading _source column with the file each record was read from
+const source = extractFlag('source') === 'true';
+
 // Check for flag-based arguments (--table, --lineNumbers, --showInvalidLines)
 if (args.includes('--table')) {
   const tableIndex = args.indexOf('--table');
@@ -77,24 +171,181 @@ if (args.length >= 1 && args.length <= 4) {
   }
 } else {
   console.error(
-    `Usage: 2table <format> [columns] [--lineNumbers true/false] [--showInvalidLines true/false]\\nFormats: ascii, md, csv\\nExamples:\\n  2table ascii name,age,city --lineNumbers true\\n  2table ascii name,age,city true false\\nIf columns is omitted, structure will be auto-generated from JSON`
+    `Usage: 2table <format> [columns] [--lineNumbers true/false] [--showInvalidLines true/false] [--inputFormat json/ndjson/csv/tsv/yaml] [--delimiter char] [--inferTypes true/false] [--stream true/false] [--sampleSize n] [--files paths/globs] [--source true/false] [--root path] [--standalone true/false] [--border none/ascii/single/double/rounded/heavy] [--rowSeparator true/false] [--maxWidth n] [--fit wrap/truncate] [--layout horizontal/vertical] [--headerStyle style] [--color auto/always/never] [--sort keys] [--groupBy field] [--pivot true/false] [--pivotTotals none/rows/columns/both] [--transpose true/false] [--where expression]\\nFormats: ascii, md, csv, html\\nExamples:\\n  2table ascii name,age,city --lineNumbers true\\n  2table ascii name,age,city true false\\nIf columns is omitted, structure will be auto-generated from JSON`
   );
   process.exit(1);
 }
 
 if (!format) {
   console.error(
-    `Usage: 2table <format> [columns] [lineNumbers] [showInvalidLines]\\nFormats: ascii, md, csv\\nExamples:\\n  2table ascii name,age,city false false\\n  2table ascii name,age,city true false\\nIf columns is omitted, structure will be auto-generated from JSON`
+    `Usage: 2table <format> [columns] [lineNumbers] [showInvalidLines]\\nFormats: ascii, md, csv, html\\nExamples:\\n  2table ascii name,age,city false false\\n  2table ascii name,age,city true false\\nIf columns is omitted, structure will be auto-generated from JSON`
   );
   process.exit(1);
 }
 
-if (format !== "ascii" && format !== "md" && format !== "csv") {
-  console.error(`Invalid format: ${format}\\nSupported formats: ascii, md, csv`);
+if (format !== "ascii" && format !== "md" && format !== "csv" && format !== "html") {
+  console.error(`Invalid format: ${format}\\nSupported formats: ascii, md, csv, html`);
+  process.exit(1);
+}
+
+if (!INPUT_FORMATS.includes(inputFormat)) {
+  console.error(`Invalid input format: ${inputFormat}\\nSupported input formats: ${INPUT_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+if (stream && !STREAM_FORMATS.includes(format)) {
+  console.error(`Streaming is not supported for format: ${format}\\nSupported streaming formats: ${STREAM_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!BORDER_STYLE_NAMES.includes(border)) {
+  console.error(`Invalid border style: ${border}\\nSupported border styles: ${BORDER_STYLE_NAMES.join(', ')}`);
+  process.exit(1);
+}
+
+if (isNaN(maxWidth) || maxWidth < 0) {
+  console.error(`Invalid max width: ${maxWidthValue}`);
+  process.exit(1);
+}
+
+if (!COLOR_MODES.includes(color)) {
+  console.error(`Invalid color mode: ${color}\\nSupported color modes: ${COLOR_MODES.join(', ')}`);
+  process.exit(1);
+}
+const colorLevel = resolveColorLevel(color);
+
+try {
+  parseStyleSpec(headerStyle);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (!FIT_MODES.includes(fit)) {
+  console.error(`Invalid fit mode: ${fit}\\nSupported fit modes: ${FIT_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!PIVOT_TOTALS.includes(pivotTotals)) {
+  console.error(`Invalid pivot totals: ${pivotTotals}\\nSupported pivot totals: ${PIVOT_TOTALS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!LAYOUTS.includes(layout)) {
+  console.error(`Invalid layout: ${layout}\\nSupported layouts: ${LAYOUTS.join(', ')}`);
+  process.exit(1);
+}
+
+if (layout === 'vertical' && format !== 'ascii') {
+  console.error("The vertical layout is only supported for ascii output");
+  process.exit(1);
+}
+
+if (layout === 'vertical' && (stream || border !== 'none')) {
+  console.error("The vertical layout cannot be combined with --stream or --border");
+  process.exit(1);
+}
+
+if (stream && border !== 'none') {
+  console.error("Borders are not supported when streaming");
+  process.exit(1);
+}
+
+if (root) {
+  try {
+    parseRootPath(root);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+let recordFilter = null;
+if (where) {
+  try {
+    recordFilter = createFilter(where);
+  } catch (e) {
+    // Point at the offending position below the expression
+    const caret = e.position ? `\n  ${where}\n  ${' '.repeat(e.position - 1)}^` : '';
+    console.error(`Invalid where expression: ${e.message}${caret}`);
+    process.exit(1);
+  }
+}
+
+let sortKeys = [];
+let hasAggregates = false;
+try {
+  const parsedStructure = parseStructure(structure);
+  sortKeys = resolveSortKeys(parsedStructure, sort);
+  hasAggregates = validateAggregates(parsedStructure);
+  ValueFormatterFactory.validate(parsedStructure);
+  validateColorRules(parsedStructure);
+  validateOverflow(parsedStructure);
+  validateStyles(parsedStructure);
+  if (pivot) {
+    resolvePivotStructure(parsedStructure);
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (pivot && stream) {
+  console.error("Pivot tables are not supported when streaming");
+  process.exit(1);
+}
+
+if (pivot && (sort || groupBy || source)) {
+  console.error("--sort, --groupBy and --source cannot be combined with --pivot");
+  process.exit(1);
+}
+
+if (transpose && (stream || groupBy || layout === 'vertical')) {
+  console.error("--stream, --groupBy and --layout vertical cannot be combined with --transpose");
+  process.exit(1);
+}
+
+if (stream && sortKeys.length > 0) {
+  console.error("Sorting is not supported when streaming");
+  process.exit(1);
+}
+
+if (stream && groupBy) {
+  console.error("Grouping is not supported when streaming");
+  process.exit(1);
+}
+
+if (stream && hasAggregates) {
+  console.error("Aggregates are not supported when streaming");
+  process.exit(1);
+}
+
+if (stream && filePatterns.length > 0) {
+  console.error("Streaming reads from stdin and cannot be combined with --files");
+  process.exit(1);
+}
+
+if (source && filePatterns.length === 0) {
+  console.error("--source requires input files (--files)");
+  process.exit(1);
+}
+
+if (stream && inputFormat !== 'ndjson') {
+  console.error("Streaming requires NDJSON input (--inputFormat ndjson)");
   process.exit(1);
 }
 
 (async () => {
+  if (stream) {
+    try {
+      await renderStream();
+    } catch (e) {
+      console.error("cannot print the table:", e.message);
+      process.exit(3);
+    }
+    return;
+  }
+
   let input;
 
   let invalidLines = [];
@@ -102,8 +353,14 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
   let originalInput = null;
 
   try {
-    const inputString = await readStdIn();
-    input = JSON.parse(inputString);
+    const parser = InputParserFactory.create(inputFormat, { root, delimiter, inferTypes });
+    const parsedInput = filePatterns.length > 0
+      ? readInputFiles(expandFilePatterns(filePatterns), parser, source)
+      : parser.parse(await readStdIn());
+    input = parsedInput.data;
+
+    // Source line of each record (NDJSON); array positions are used otherwise
+    const sourceLineNumbers = parsedInput.lineNumbers;
 
     // Handle invalid lines feature
     if (lineNumbers || showInvalidLines) {
@@ -117,17 +374,21 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
       // Store original input for showInvalidLines=true case
       originalInput = [...input];
 
+      // Lines that could not be parsed at all (malformed NDJSON lines)
+      invalidLines.push(...parsedInput.invalidLines);
+
       // Identify invalid lines and filter data accordingly
       const validData = [];
       for (let i = 0; i < input.length; i++) {
-        const originalLineNumber = i + 1;
+        const originalLineNumber = sourceLineNumbers ? sourceLineNumbers[i] : i + 1;
         const item = input[i];
+        const reason = invalidItemReason(item);
 
-        if (item === null || item === undefined || typeof item !== 'object' || Array.isArray(item)) {
+        if (reason) {
           // Invalid item
           invalidLines.push({
             lineNumber: originalLineNumber,
-            reason: item === null || item === undefined ? 'null or undefined' : `invalid type: ${typeof item}`
+            reason: reason
           });
         } else {
           // Valid item - keep it with original line number
@@ -150,6 +411,12 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
 
     } else {
       // Original behavior: strict validation
+      if (parsedInput.invalidLines.length > 0) {
+        const { lineNumber, reason } = parsedInput.invalidLines[0];
+        console.error(`Invalid input on line ${lineNumber}: ${reason}`);
+        process.exit(1);
+      }
+
       if (input === null || input === undefined) {
         console.error("Input cannot be null or undefined");
         process.exit(1);
@@ -173,12 +440,13 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
 
       // Validate array items
       for (let i = 0; i < input.length; i++) {
+        const itemNumber = sourceLineNumbers ? sourceLineNumbers[i] : i + 1;
         if (input[i] === null || input[i] === undefined) {
-          console.error(`Invalid data: Item ${i + 1} is null or undefined`);
+          console.error(`Invalid data: Item ${itemNumber} is null or undefined`);
           process.exit(1);
         }
         if (typeof input[i] !== 'object' || Array.isArray(input[i])) {
-          console.error(`Invalid data: Item ${i + 1} must be an object, received:`, typeof input[i]);
+          console.error(`Invalid data: Item ${itemNumber} must be an object, received:`, typeof input[i]);
           process.exit(1);
         }
       }
@@ -192,9 +460,23 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
     process.exit(1);
   }
 
+  // Keep only the records matching --where, together with their line numbers
+  const unfilteredInput = input;
+  if (recordFilter) {
+    const keep = input.map(item => recordFilter(item));
+    input = input.filter((item, index) => keep[index]);
+    validLineNumbers = validLineNumbers.filter((lineNumber, index) => keep[index]);
+  }
+
+  // An explicit structure still shows the file each record came from
+  if (source && structure && structure.trim() !== "" && !parseStructure(structure).some(item => item.field === SOURCE_FIELD)) {
+    structure = `${SOURCE_FIELD},${structure}`;
+  }
+
   // Generate structure if not provided
   if (!structure || structure.trim() === "") {
-    structure = await generateAutoStructure(input);
+    // When no record matches, the columns still come from the whole input
+    structure = await generateAutoStructure(input.length > 0 ? input : unfilteredInput);
     if (!structure) {
       console.error("Unable to generate structure from JSON input");
       process.exit(1);
@@ -202,8 +484,19 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
   }
 
   try {
+    // Pivot mode: the crosstab rows replace the records, with a generated structure
+    let footer = null;
+    if (pivot) {
+      const pivoted = pivotRecords(input, parseStructure(structure), pivotTotals);
+      input = pivoted.records;
+      structure = pivoted.structure;
+      footer = pivoted.footer;
+      validLineNumbers = [];
+      invalidLines = [];
+    }
+
     // Create table and parse data into it
-    const table = new Table();
+    let table = new Table();
 
     // Create wrapper data for line numbers if needed
     let wrapperData = null;
@@ -223,11 +516,26 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
       }
     }
 
-    await TableParser.parseIntoTable(table, input, structure, lineNumbers, showInvalidLines ? invalidLines : [], wrapperData);
+    await TableParser.parseIntoTable(table, input, structure, lineNumbers, showInvalidLines ? invalidLines : [], wrapperData, { sort, groupBy, footer });
+
+    // Records become columns once they are laid out and formatted
+    if (transpose) {
+      ({ table, structure } = transposeTable(table, structure));
+    }
 
     // Create appropriate renderer and print
-    if (format === "ascii") {
-      const renderer = new AsciiRenderer(table, structure);
+    if (format === "ascii" && layout === "vertical") {
+      const renderer = new VerticalRenderer(table, structure, { maxWidth, fit, headerStyle, colorLevel });
+      console.log(renderer.print());
+    } else if (format === "ascii") {
+      const renderer = new AsciiRenderer(table, structure, {
+        border,
+        rowSeparator,
+        maxWidth,
+        fit,
+        headerStyle,
+        colorLevel
+      });
       console.log(renderer.print());
     } else if (format === "md") {
       const renderer = new MarkdownRenderer(table);
@@ -235,6 +543,9 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
     } else if (format === "csv") {
       const renderer = new CsvRenderer(table, structure);
       console.log(renderer.print());
+    } else if (format === "html") {
+      const renderer = new HtmlRenderer(table, structure, { standalone });
+      console.log(renderer.print());
     }
 
   } catch (e) {
@@ -244,6 +555,71 @@ if (format !== "ascii" && format !== "md" && format !== "csv") {
   }
 })();
 
+/**
+ * Reason why a parsed item cannot become a table row, or null for a valid record
+ */
+function invalidItemReason(item) {
+  if (item === null || item === undefined) {
+    return 'null or undefined';
+  }
+  if (typeof item !== 'object' || Array.isArray(item)) {
+    return `invalid type: ${typeof item}`;
+  }
+  return null;
+}
+
+/**
+ * Read NDJSON from stdin line by line and render each record as soon as it arrives.
+ * Works on unbounded inputs (e.g. tail -f) because nothing waits for the end of stdin.
+ */
+async function renderStream() {
+  const parser = InputParserFactory.create(inputFormat, { root, delimiter, inferTypes });
+  const renderer = new StreamRenderer(format, structure, {
+    lineNumbers,
+    showInvalidLines,
+    sampleSize,
+    maxWidth,
+    fit,
+    headerStyle,
+    colorLevel
+  });
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+
+    const result = parser.parseLine(line, lineNumber);
+    if (!result) {
+      continue;
+    }
+
+    // A root path selecting an array yields several records from the same line
+    const entries = result.invalid
+      ? [{ invalid: result.invalid }]
+      : result.items.map(item => ({
+          item,
+          invalid: invalidItemReason(item) && { lineNumber, reason: invalidItemReason(item) }
+        }));
+
+    for (const { item, invalid } of entries) {
+      if (!invalid) {
+        if (!recordFilter || recordFilter(item)) {
+          await renderer.add(item, lineNumber);
+        }
+      } else if (lineNumbers || showInvalidLines) {
+        await renderer.addInvalid(invalid);
+      } else {
+        // Strict validation, same as the non-streaming mode
+        console.error(`Invalid input on line ${lineNumber}: ${invalid.reason}`);
+        process.exit(1);
+      }
+    }
+  }
+
+  await renderer.end();
+}
+
 /**
  * Generate auto-structure from JSON data using legacy logic
  */
@@ -0,0 +1,111 @@
+/**
+ * Column aggregates for the footer row (Strategy registry, like ValueFormatter.js).
+ *
+ * A column with an `agg` property (`amount{agg:sum}`) gets its aggregate written into a footer
+ * row below the data. Every aggregate receives the raw (unformatted) values of the column,
+ * including every element of array columns; null, undefined and empty values are ignored:
+ *
+ *   - sum, avg  numeric values (numbers and numeric strings); empty when there are none
+ *   - min, max  numerically when every value is a number, otherwise by text (ISO dates work)
+ *   - count     number of values
+ *   - distinct  number of different values
+ *
+ * sum/avg/min/max results go through the column's ValueFormatter like the data values;
+ * count and distinct are plain numbers.
+ */
+import { isNumeric } from "./Numeric.js";
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+const toNumber = value => (typeof value === "number" ? value : Number(value));
+
+const numbersOf = values => values.filter(isNumeric).map(toNumber);
+
+function extreme(values, pickFirst) {
+  if (values.length === 0) {
+    return undefined;
+  }
+  if (values.every(isNumeric)) {
+    const numbers = values.map(toNumber);
+    return pickFirst ? Math.min(...numbers) : Math.max(...numbers);
+  }
+  const sorted = values.map(String).sort(collator.compare);
+  return pickFirst ? sorted[0] : sorted[sorted.length - 1];
+}
+
+/**
+ * Registry mapping an `agg` name to { compute(values), formatted }
+ */
+const AGGREGATE_REGISTRY = {
+  sum: {
+    formatted: true,
+    compute: values => {
+      const numbers = numbersOf(values);
+      return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) : undefined;
+    }
+  },
+  avg: {
+    formatted: true,
+    compute: values => {
+      const numbers = numbersOf(values);
+      return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : undefined;
+    }
+  },
+  min: { formatted: true, compute: values => extreme(values, true) },
+  max: { formatted: true, compute: values => extreme(values, false) },
+  count: { formatted: false, compute: values => values.length },
+  distinct: {
+    formatted: false,
+    compute: values => new Set(values.map(value => (typeof value === "object" ? JSON.stringify(value) : value))).size
+  }
+};
+
+export const AGGREGATES = Object.keys(AGGREGATE_REGISTRY);
+
+/**
+ * Validate the `agg` properties of a parsed structure. Returns true when any column has one.
+ */
+export function validateAggregates(parsedStructure) {
+  let found = false;
+
+  const visit = items =>
+    items.forEach(item => {
+      if (item.group && item.group.length > 0) {
+        visit(item.group);
+        return;
+      }
+      const agg = item.properties && item.properties.agg;
+      if (agg === undefined) {
+        return;
+      }
+      if (!AGGREGATE_REGISTRY[agg]) {
+        const column = item.label || item.field;
+        throw new Error(`Invalid aggregate for ${column}: ${agg}\nSupported aggregates: ${AGGREGATES.join(", ")}`);
+      }
+      found = true;
+    });
+
+  visit(parsedStructure);
+  return found;
+}
+
+/**
+ * Whether the result of an aggregate is formatted by the column's value formatter
+ */
+export function isFormattedAggregate(agg) {
+  return !!AGGREGATE_REGISTRY[agg] && AGGREGATE_REGISTRY[agg].formatted;
+}
+
+/**
+ * Compute an aggregate over the raw values of a column. Returns { value, formatted } where
+ * formatted tells whether the value should go through the column's value formatter.
+ */
+export function computeAggregate(agg, values) {
+  const aggregate = AGGREGATE_REGISTRY[agg];
+  if (!aggregate) {
+    throw new Error(`Invalid aggregate: ${agg}`);
+  }
+
+  const present = values.filter(value => value !== null && value !== undefined && value !== "");
+  return { value: aggregate.compute(present), formatted: aggregate.formatted };
+}
@@ -0,0 +1,262 @@
+/**
+ * Terminal text styles - builds the ANSI escape codes for the `color`, `bg` and `style`
+ * properties of a column (and the header style).
+ *
+ * Colors are one of:
+ *   - a name        black, red, green, yellow, blue, magenta, cyan, white, gray and their
+ *                   bright variants (brightRed, ...)
+ *   - an index      0-255 of the 256-color palette
+ *   - a hex value   #rrggbb (or #rgb) truecolor
+ *
+ * Styles are bold, dim, italic, underline and inverse, combined with `+` (`bold+underline`).
+ * The `style` property also holds the style of some formats (`format:date,style:short`), so
+ * other tokens are left to the value formatter: `style:short+bold`.
+ *
+ * Colors the terminal cannot show are downgraded to the nearest one it can: truecolor when
+ * COLORTERM says so, 256 colors for a TERM with 256color, the 16 basic colors otherwise.
+ * The same color specs become CSS colors for the HTML renderer.
+ *
+ * With `--color auto` (the default) there are no colors at all when stdout is not a terminal,
+ * NO_COLOR is set or TERM is dumb, unless FORCE_COLOR asks for them.
+ */
+
+export const TEXT_STYLES = { bold: 1, dim: 2, italic: 3, underline: 4, inverse: 7 };
+
+export const COLOR_LEVELS = { none: 0, basic: 1, ansi256: 2, truecolor: 3 };
+
+export const COLOR_MODES = ['auto', 'always', 'never'];
+
+const BASIC_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+// xterm RGB values of the 16 basic colors (normal, then bright)
+const BASIC_PALETTE = [
+  [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0], [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+  [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0], [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+];
+
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+const RESET = '\x1b[0m';
+
+/**
+ * Color level of the terminal from the environment
+ */
+export function detectColorLevel(env = process.env) {
+  if (/^(truecolor|24bit)$/i.test(env.COLORTERM || '')) {
+    return COLOR_LEVELS.truecolor;
+  }
+  if (/256/.test(env.TERM || '')) {
+    return COLOR_LEVELS.ansi256;
+  }
+  return COLOR_LEVELS.basic;
+}
+
+/**
+ * Color level of a --color mode: `never` is none, `always` the terminal's level and `auto`
+ * follows FORCE_COLOR (0/false off, 1-3 a level), then NO_COLOR, a non-TTY stdout and TERM=dumb
+ */
+export function resolveColorLevel(mode = 'auto', stream = process.stdout, env = process.env) {
+  if (mode === 'never') {
+    return COLOR_LEVELS.none;
+  }
+  if (mode === 'always') {
+    return detectColorLevel(env);
+  }
+
+  if (env.FORCE_COLOR !== undefined) {
+    const force = env.FORCE_COLOR.toLowerCase();
+    if (force === '0' || force === 'false') {
+      return COLOR_LEVELS.none;
+    }
+    return ['1', '2', '3'].includes(force) ? Number(force) : detectColorLevel(env);
+  }
+  if (env.NO_COLOR || !stream.isTTY || env.TERM === 'dumb') {
+    return COLOR_LEVELS.none;
+  }
+  return detectColorLevel(env);
+}
+
+/**
+ * Parse a style spec like `bold+cyan` or `inverse+bg:blue` (the header style) into
+ * { color, bg, style }; `none` is no style at all
+ */
+export function parseStyleSpec(spec) {
+  const result = {};
+  if (!spec || spec === 'none') {
+    return result;
+  }
+
+  const styles = [];
+  String(spec)
+    .split('+')
+    .map(token => token.trim())
+    .forEach(token => {
+      if (TEXT_STYLES[token]) {
+        styles.push(token);
+      } else if (token.startsWith('bg:') && parseColor(token.slice(3))) {
+        result.bg = token.slice(3);
+      } else if (parseColor(token)) {
+        result.color = token;
+      } else {
+        throw new Error(`Invalid style: ${token}\nSupported: ${Object.keys(TEXT_STYLES).join(', ')}, colors, bg:color`);
+      }
+    });
+  if (styles.length > 0) {
+    result.style = styles.join('+');
+  }
+  return result;
+}
+
+/**
+ * Validate the `style` properties of a parsed structure; a column with a `format` may
+ * have one format style among them
+ */
+export function validateStyles(parsedStructure) {
+  parsedStructure.forEach(item => {
+    if (item.group && item.group.length > 0) {
+      validateStyles(item.group);
+      return;
+    }
+    const { style, format } = item.properties || {};
+    const unknown = styleTokens(style).filter(token => !TEXT_STYLES[token]);
+    if (unknown.length > (format ? 1 : 0)) {
+      const supported = Object.keys(TEXT_STYLES).join(', ');
+      throw new Error(`Invalid style: ${unknown[unknown.length - 1]}\nSupported styles: ${supported}`);
+    }
+  });
+}
+
+/**
+ * Wrap text in the escape codes of a { color, bg, style } format at a color level.
+ * Unknown colors are ignored, like they always were.
+ */
+export function applyAnsiStyle(text, format, level = COLOR_LEVELS.basic) {
+  if (level === COLOR_LEVELS.none) {
+    return text;
+  }
+  const codes = [
+    ...textStyles(format.style).map(style => TEXT_STYLES[style]),
+    ...colorCodes(format.color, level, false),
+    ...colorCodes(format.bg, level, true)
+  ];
+  return codes.length > 0 ? `\x1b[${codes.join(';')}m${text}${RESET}` : text;
+}
+
+/**
+ * A color spec as a CSS color: names and hex values as they are, bright names and palette
+ * indexes as hex values. Returns undefined for an unknown color.
+ */
+export function toCssColor(spec) {
+  const color = parseColor(spec);
+  if (!color) {
+    return undefined;
+  }
+  if (color.basic !== undefined) {
+    return color.basic < 8 ? BASIC_COLORS[color.basic] : rgbToHex(BASIC_PALETTE[color.basic]);
+  }
+  return color.hex || rgbToHex(color.rgb);
+}
+
+function styleTokens(style) {
+  if (style === undefined || style === null || style === '') {
+    return [];
+  }
+  return String(style)
+    .split('+')
+    .map(token => token.trim());
+}
+
+function textStyles(style) {
+  return styleTokens(style).filter(token => TEXT_STYLES[token]);
+}
+
+function colorCodes(spec, level, background) {
+  const color = parseColor(spec);
+  if (!color) {
+    return [];
+  }
+
+  if (color.basic !== undefined) {
+    return [basicCode(color.basic, background)];
+  }
+  if (level >= COLOR_LEVELS.truecolor && color.hex) {
+    return [background ? 48 : 38, 2, ...color.rgb];
+  }
+  if (level >= COLOR_LEVELS.ansi256) {
+    return [background ? 48 : 38, 5, color.index !== undefined ? color.index : rgbToAnsi256(color.rgb)];
+  }
+  return [basicCode(nearestBasic(color.rgb), background)];
+}
+
+function basicCode(basic, background) {
+  const offset = basic < 8 ? basic : basic - 8 + 60;
+  return (background ? 40 : 30) + offset;
+}
+
+/**
+ * { basic } for names, { index, rgb } for palette indexes, { hex, rgb } for hex values,
+ * or null for anything else
+ */
+function parseColor(spec) {
+  if (spec === undefined || spec === null || spec === '') {
+    return null;
+  }
+
+  const text = String(spec).trim();
+  const name = text.toLowerCase();
+  if (BASIC_COLORS.includes(name)) {
+    return { basic: BASIC_COLORS.indexOf(name) };
+  }
+  if (name === 'gray' || name === 'grey') {
+    return { basic: 8 };
+  }
+  if (name.startsWith('bright') && BASIC_COLORS.includes(name.slice(6))) {
+    return { basic: 8 + BASIC_COLORS.indexOf(name.slice(6)) };
+  }
+
+  if (/^\d{1,3}$/.test(text) && Number(text) <= 255) {
+    const index = Number(text);
+    return { index, rgb: ansi256ToRgb(index) };
+  }
+
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, digit => digit + digit) : hex[1];
+    const rgb = [0, 2, 4].map(start => parseInt(digits.slice(start, start + 2), 16));
+    return { hex: `#${digits.toLowerCase()}`, rgb };
+  }
+
+  return null;
+}
+
+function ansi256ToRgb(index) {
+  if (index < 16) {
+    return BASIC_PALETTE[index];
+  }
+  if (index >= 232) {
+    const gray = 8 + (index - 232) * 10;
+    return [gray, gray, gray];
+  }
+  const cube = index - 16;
+  return [Math.floor(cube / 36), Math.floor(cube / 6) % 6, cube % 6].map(level => CUBE_LEVELS[level]);
+}
+
+function rgbToAnsi256([r, g, b]) {
+  if (r === g && g === b) {
+    if (r < 8) return 16;
+    if (r > 248) return 231;
+    return Math.round(((r - 8) / 247) * 24) + 232;
+  }
+  const level = value => Math.round((value / 255) * 5);
+  return 16 + 36 * level(r) + 6 * level(g) + level(b);
+}
+
+function nearestBasic(rgb) {
+  const distance = palette => palette.reduce((sum, value, channel) => sum + (value - rgb[channel]) ** 2, 0);
+  const distances = BASIC_PALETTE.map(distance);
+  return distances.indexOf(Math.min(...distances));
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
@@ -1,23 +1,61 @@
 /**
  * ASCII Renderer - Dumb renderer that just reads Table cells and outputs ASCII format
  * Contains no JSON parsing logic - just renders cell contents with formatting
+ *
+ * By default columns are only separated by whitespace. A `border` style draws a grid
+ * instead; grouped headers then span their sub-columns with proper junctions, which are
+ * derived from the parsed structure the same way CsvRenderer/HtmlRenderer derive spans.
+ *
+ * With `maxWidth` the column widths are shrunk until the whole table fits (e.g. the terminal
+ * width). Only text columns give up space, widest first and never below MIN_FIT_WIDTH or their header; numeric
+ * (right-aligned) columns and columns with an explicit {width:N} keep their width. The cells of
+ * a shrunk column are wrapped to the new width, or cut with an ellipsis when `fit` is truncate.
  */
+import { countLeaves, leadingColumnCount, parseStructure, structureDepth } from "./Structure.js";
+import { applyAnsiStyle, detectColorLevel, parseStyleSpec } from "./AnsiStyle.js";
+
+/**
+ * Border themes, each written as the characters for: horizontal, vertical, the four corners
+ * (top-left, top-right, bottom-left, bottom-right), the four tees (down like the top border's ┬,
+ * up, right like ├, left) and the cross.
+ */
+const BORDER_CHARACTERS = {
+  ascii: '-|+++++++++',
+  single: '─│┌┐└┘┬┴├┤┼',
+  double: '═║╔╗╚╝╦╩╠╣╬',
+  rounded: '─│╭╮╰╯┬┴├┤┼',
+  heavy: '━┃┏┓┗┛┳┻┣┫╋'
+};
+
+const BORDER_PARTS = [
+  'h', 'v', 'topLeft', 'topRight', 'bottomLeft', 'bottomRight', 'teeDown', 'teeUp', 'teeRight', 'teeLeft', 'cross'
+];
+
+const BORDER_STYLES = Object.fromEntries([
+  ['none', null],
+  ...Object.entries(BORDER_CHARACTERS).map(([name, characters]) => [
+    name,
+    Object.fromEntries(BORDER_PARTS.map((part, index) => [part, Array.from(characters)[index]]))
+  ])
+]);
+
+export const BORDER_STYLE_NAMES = Object.keys(BORDER_STYLES);
+
+export const FIT_MODES = ['wrap', 'truncate'];
+
+export const MIN_FIT_WIDTH = 10;
 
 export class AsciiRenderer {
-  constructor(table, structure = '') {
+  constructor(table, structure = '', options = {}) {
     this.table = table;
     this.structure = structure;
-    this.colors = {
-      yellow: '\x1b[33m',
-      blue: '\x1b[34m',
-      red: '\x1b[31m',
-      green: '\x1b[32m',
-      cyan: '\x1b[36m',
-      magenta: '\x1b[35m',
-      white: '\x1b[37m',
-      black: '\x1b[30m',
-      reset: '\x1b[0m'
-    };
+    this.border = BORDER_STYLES[options.border || 'none'];
+    this.rowSeparator = !!options.rowSeparator;
+    this.maxWidth = options.maxWidth || 0;
+    this.fit = options.fit || 'wrap';
+    // Header style spec (see AnsiStyle.js), yellow unless configured
+    this.headerStyle = parseStyleSpec(options.headerStyle === undefined ? 'yellow' : options.headerStyle);
+    this.colorLevel = options.colorLevel !== undefined ? options.colorLevel : detectColorLevel();
 
     // Performance optimization: Multiple caching layers
     this.ansiCache = new Map();
@@ -49,6 +87,10 @@ export class AsciiRenderer {
     // Calculate column widths (optimized)
     const columnWidths = this.calculateColumnWidthsOptimized(columns);
 
+    if (this.border) {
+      return this.renderBordered(rows, columnWidths);
+    }
+
     // Batch row processing for wide tables (optimization for 10+ columns)
     if (columns >= 10) {
       return this.renderRowsBatched(rows, columnWidths);
@@ -56,6 +98,9 @@ export class AsciiRenderer {
 
     // Normal rendering for narrow tables
     for (let rowNum = 1; rowNum <= rows; rowNum++) {
+      if (this.hasSeparatorAbove(rowNum)) {
+        lines.push(this.renderFooterSeparator(columnWidths));
+      }
       const rowLines = this.renderRowOptimized(rowNum, columnWidths);
       lines.push(...rowLines);
     }
@@ -63,6 +108,34 @@ export class AsciiRenderer {
     return lines.join('\n');
   }
 
+  /**
+   * Calculate the column widths this table would be printed with.
+   * Used by streaming output to freeze the layout after the sampled rows.
+   */
+  getColumnWidths() {
+    this.precomputeColumnFormats(this.dimensions.columns);
+    return this.calculateColumnWidthsOptimized(this.dimensions.columns);
+  }
+
+  /**
+   * Render rows starting at `fromRow` using precomputed column widths instead of
+   * measuring this table, so rows printed separately line up with earlier output.
+   */
+  printRows(columnWidths, fromRow = 1) {
+    if (this.dimensions.totalCells === 0) {
+      return '';
+    }
+
+    this.precomputeColumnFormats(this.dimensions.columns);
+
+    const lines = [];
+    for (let rowNum = fromRow; rowNum <= this.dimensions.rows; rowNum++) {
+      lines.push(...this.renderRowOptimized(rowNum, columnWidths));
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Pre-compute column formats for caching
    */
@@ -101,6 +174,9 @@ export class AsciiRenderer {
       // Calculate from content (optimized)
       let maxWidth = 0;
       for (let row = 1; row <= this.table.maxRow; row++) {
+        if (this.table.isGroupHeaderRow(row)) {
+          continue;
+        }
         const cellRef = this.table.getCellReference(col, row);
         const cell = this.table.getCell(cellRef);
 
@@ -114,9 +190,126 @@ export class AsciiRenderer {
       maxWidthCache.set(cacheKey, finalWidth);
       widths[col] = finalWidth;
     }
+
+    if (this.maxWidth) {
+      return this.fitColumnWidths(widths);
+    }
     return widths;
   }
 
+  /**
+   * Shrink the widest text columns one character at a time until the table fits maxWidth
+   * (or no column can shrink any further), then re-wrap the cells of every shrunk column.
+   */
+  fitColumnWidths(widths) {
+    const fitted = [...widths];
+    const minimums = fitted.map((width, col) => (this.isShrinkableColumn(col) ? this.getMinimumFitWidth(col) : width));
+
+    while (this.getTableWidth(fitted) > this.maxWidth) {
+      let widest = -1;
+      fitted.forEach((width, col) => {
+        if (width > minimums[col] && (widest === -1 || width > fitted[widest])) {
+          widest = col;
+        }
+      });
+
+      if (widest === -1) {
+        break;
+      }
+      fitted[widest]--;
+    }
+
+    fitted.forEach((width, col) => {
+      if (width < widths[col]) {
+        this.fitColumnCells(col, width);
+      }
+    });
+
+    return fitted;
+  }
+
+  /**
+   * Printed width of a line for the given column widths: the leading space and two spaces
+   * between columns, or the border characters and cell padding when bordered
+   */
+  getTableWidth(widths) {
+    const contentWidth = widths.reduce((sum, width) => sum + width, 0);
+    return this.border ? contentWidth + 3 * widths.length + 1 : contentWidth + 2 * (widths.length - 1) + 1;
+  }
+
+  /**
+   * A column may shrink unless it has an explicit width or holds numbers (right-aligned data)
+   */
+  isShrinkableColumn(col) {
+    const colFormat = this.formatCache.get(col);
+    if (colFormat.width || colFormat.align === 'right') {
+      return false;
+    }
+
+    let hasText = false;
+    for (let row = this.calculateHeaderRowCount() + 1; row <= this.table.maxRow; row++) {
+      if (this.table.isGroupHeaderRow(row)) {
+        continue;
+      }
+      const cell = this.table.getCell(this.table.getCellReference(col, row));
+      const content = this.removeAnsiCodes(cell.content).trim();
+      if (content && this.detectAlignment(content) !== 'right') {
+        hasText = true;
+      }
+    }
+    return hasText;
+  }
+
+  /**
+   * A shrinking column keeps at least MIN_FIT_WIDTH characters and its header labels
+   */
+  getMinimumFitWidth(col) {
+    let minimum = MIN_FIT_WIDTH;
+    for (let row = 1; row <= this.calculateHeaderRowCount(); row++) {
+      const cell = this.table.getCell(this.table.getCellReference(col, row));
+      cell.multiline.forEach(line => {
+        minimum = Math.max(minimum, this.getDisplayLength(line));
+      });
+    }
+    return minimum;
+  }
+
+  /**
+   * Re-wrap (or truncate) every cell of a shrunk column to the new width
+   */
+  fitColumnCells(col, width) {
+    // A column overflow mode (see TableParser) wins over the table-wide fit mode
+    const overflow = this.formatCache.get(col).overflow;
+    const cut = overflow ? overflow !== 'wrap' : this.fit === 'truncate';
+    const ellipsis = overflow ? overflow === 'ellipsis' : true;
+
+    for (let row = 1; row <= this.table.maxRow; row++) {
+      if (this.table.isGroupHeaderRow(row)) {
+        continue;
+      }
+      const cellRef = this.table.getCellReference(col, row);
+      const cell = this.table.getCell(cellRef);
+
+      if (cell.multiline.some(line => this.getDisplayLength(line) > width)) {
+        const lines = cell.multiline.map(line => this.removeAnsiCodes(line));
+        this.table.setCell(
+          cellRef,
+          cut
+            ? lines.map(line => this.truncateText(line, width, ellipsis))
+            : lines.flatMap(line => this.wrapText(line, width, true).split('\n'))
+        );
+      }
+    }
+  }
+
+  /**
+   * Cut text to the given width, marking the cut with an ellipsis unless disabled
+   */
+  truncateText(text, width, ellipsis = true) {
+    if (text.length <= width) return text;
+    return ellipsis ? text.substring(0, width - 1) + '…' : text.substring(0, width);
+  }
+
   /**
    * Calculate optimal width for each column (legacy method)
    */
@@ -138,6 +331,9 @@ export class AsciiRenderer {
 
       // Process this batch
       for (let rowNum = startRow; rowNum <= endRow; rowNum++) {
+        if (this.hasSeparatorAbove(rowNum)) {
+          lines.push(this.renderFooterSeparator(columnWidths));
+        }
         const rowLines = this.renderRowOptimized(rowNum, columnWidths);
         lines.push(...rowLines);
       }
@@ -146,6 +342,30 @@ export class AsciiRenderer {
     return lines.join('\n');
   }
 
+  /**
+   * Aggregate rows (group subtotals and the footer) are set apart from the rows above them
+   */
+  hasSeparatorAbove(rowNum) {
+    return this.table.isSubtotalRow(rowNum) || this.table.isFooterRow(rowNum);
+  }
+
+  /**
+   * Dashed line separating an aggregate row (subtotal or footer) from the data rows
+   */
+  renderFooterSeparator(columnWidths) {
+    return ' ' + columnWidths.map(width => '-'.repeat(width)).join('  ');
+  }
+
+  /**
+   * A group header row is a single label spanning the whole table, so it is left out of the
+   * column widths and cut at the table width when fitting
+   */
+  renderGroupHeaderRow(rowNum, columnWidths) {
+    const cell = this.table.getCell(this.table.getCellReference(0, rowNum));
+    const width = this.getTableWidth(columnWidths) - 1;
+    return cell.multiline.map(line => ' ' + (this.maxWidth ? this.truncateText(line, width) : line));
+  }
+
   /**
    * Optimized single row rendering with selective caching
    */
@@ -158,6 +378,10 @@ export class AsciiRenderer {
       return this.rowCache.get(rowCacheKey);
     }
 
+    if (this.table.isGroupHeaderRow(rowNum)) {
+      return this.renderGroupHeaderRow(rowNum, columnWidths);
+    }
+
     const rowHeight = this.table.getRowHeight(rowNum);
     const lines = [];
 
@@ -258,15 +482,13 @@ export class AsciiRenderer {
 
     // Apply colors based on context and format (simplified)
     if (displayContent && displayContent.trim()) {
-      const colFormat = this.formatCache.get(col);
-
-      // Apply yellow color to headers (rows 1-3)
+      // Apply the header style to headers (rows 1-3)
       if (this.isHeaderRow(rowNum)) {
-        displayContent = this.applyColor(displayContent, 'yellow');
+        displayContent = this.applyHeaderStyle(displayContent);
       }
-      // Apply column-specific color to data rows if specified in structure
-      else if (colFormat && colFormat.color) {
-        displayContent = this.applyColor(displayContent, colFormat.color);
+      // Apply the cell style (color rules, transposed tables) or the column style of the structure
+      else {
+        displayContent = this.applyStyle(displayContent, format);
       }
     }
 
@@ -288,15 +510,14 @@ export class AsciiRenderer {
     }
 
     let result = content;
-    const colFormat = this.formatCache.get(col);
 
-    // Apply yellow color to headers (rows 1-3)
+    // Apply the header style to headers (rows 1-3)
     if (this.isHeaderRow(rowNum)) {
-      result = this.applyColor(content, 'yellow');
+      result = this.applyHeaderStyle(content);
     }
-    // Apply column-specific color to data rows if specified in structure
-    else if (colFormat.color) {
-      result = this.applyColor(content, colFormat.color);
+    // Apply the cell style (color rules, transposed tables) or the column style of the structure
+    else {
+      result = this.applyStyle(content, this.table.getCellFormat(this.table.getCellReference(col, rowNum)));
     }
 
     this.colorCache.set(colorCacheKey, result);
@@ -342,15 +563,13 @@ export class AsciiRenderer {
 
           // Apply colors based on context and format
           if (displayContent && displayContent.trim()) {
-            const colFormat = this.table.getFormat(this.table.numberToColumn(col));
-
-            // Apply yellow color to headers (rows 1-3)
+            // Apply the header style to headers (rows 1-3)
             if (this.isHeaderRow(rowNum)) {
-              displayContent = this.applyColor(displayContent, 'yellow');
+              displayContent = this.applyHeaderStyle(displayContent);
             }
-            // Apply column-specific color to data rows if specified in structure
-            else if (colFormat.color) {
-              displayContent = this.applyColor(displayContent, colFormat.color);
+            // Apply the cell style (color rules, transposed tables) or the column style of the structure
+            else {
+              displayContent = this.applyStyle(displayContent, format);
             }
           }
 
@@ -377,6 +596,7 @@ export class AsciiRenderer {
    * Format individual cell content with width and alignment
    */
   formatCellContent(content, width, format) {
+    content = this.clipContent(content, format);
     const align = format.align || this.detectAlignment(content);
 
     // Handle fixed width formatting
@@ -395,6 +615,17 @@ export class AsciiRenderer {
     return formatted;
   }
 
+  /**
+   * Cut content at the column {width:N} for the clip overflow mode (colors are dropped
+   * from a clipped value, like from wrapped ones)
+   */
+  clipContent(content, format) {
+    if (format.overflow !== 'clip' || !format.width || this.getDisplayLength(content || '') <= format.width) {
+      return content;
+    }
+    return this.removeAnsiCodes(content).substring(0, format.width);
+  }
+
   /**
    * Auto-detect alignment based on content
    */
@@ -434,9 +665,10 @@ export class AsciiRenderer {
   }
 
   /**
-   * Wrap text to fit within specified width
+   * Wrap text to fit within specified width. Long words overflow the width unless
+   * `breakWords` is set (columns fitted to --maxWidth).
    */
-  wrapText(text, width) {
+  wrapText(text, width, breakWords = false) {
     if (!text || width <= 0) return '';
 
     const words = text.split(' ');
@@ -449,7 +681,19 @@ export class AsciiRenderer {
       if (this.getDisplayLength(testLine) <= width) {
         currentLine = testLine;
       } else {
-        if (currentLine) {
+        if (breakWords) {
+          if (currentLine) {
+            lines.push(currentLine);
+          }
+
+          // A word longer than the width is broken into width-sized pieces
+          let rest = word;
+          while (rest.length > width) {
+            lines.push(rest.substring(0, width));
+            rest = rest.substring(width);
+          }
+          currentLine = rest;
+        } else if (currentLine) {
           lines.push(currentLine);
           currentLine = word;
         } else {
@@ -550,9 +794,9 @@ export class AsciiRenderer {
         displayContent = format.originalContent;
       }
 
-      // Apply yellow color to header content
+      // Apply the header style to header content
       if (displayContent && displayContent.trim()) {
-        displayContent = this.applyColor(displayContent, 'yellow');
+        displayContent = this.applyHeaderStyle(displayContent);
       }
 
       // Don't apply padding to the last column
@@ -569,12 +813,20 @@ export class AsciiRenderer {
    * Apply color to text based on color name
    */
   applyColor(text, colorName) {
-    if (!text || !colorName) return text;
+    return this.applyStyle(text, { color: colorName });
+  }
 
-    const colorCode = this.colors[colorName.toLowerCase()];
-    if (!colorCode) return text;
+  /**
+   * Apply the color, bg and style properties of a format (see AnsiStyle.js)
+   */
+  applyStyle(text, format) {
+    if (!text || !this.colorLevel || !(format.color || format.bg || format.style)) return text;
 
-    return `${colorCode}${text}${this.colors.reset}`;
+    return applyAnsiStyle(text, format, this.colorLevel);
+  }
+
+  applyHeaderStyle(text) {
+    return this.applyStyle(text, this.headerStyle);
   }
 
   /**
@@ -601,32 +853,205 @@ export class AsciiRenderer {
    * - "name,age" = depth 1
    * - "name,address[city,state]" = depth 2
    * - "user[contact[email,address[city,state]]]" = depth 3
+   * Measured on the parsed structure, so brackets inside property values (date patterns
+   * like `[at]`) are not mistaken for nesting.
    */
   calculateStructureDepth(structure) {
-    if (!structure || structure.trim() === '') {
-      return 1; // Default to 1 header row for simple structures
+    return structureDepth(parseStructure(structure));
+  }
+
+  isHeaderRow(rowNum) {
+    const headerRowCount = this.calculateHeaderRowCount();
+    return rowNum <= headerRowCount;
+  }
+
+  /**
+   * Render the table inside a border grid: top border, header rows (grouped headers merged
+   * over their sub-columns), a header separator, data rows (optionally separated), the
+   * aggregate footer row below its own separator and the bottom border. Group header rows
+   * span the whole table and every group is closed off by a border line.
+   */
+  renderBordered(totalRows, columnWidths) {
+    const headerRowCount = this.calculateHeaderRowCount();
+    const headerOwners = this.buildHeaderOwners(headerRowCount);
+    const dataOwners = rowNum =>
+      columnWidths.map((_, col) => (this.table.isGroupHeaderRow(rowNum) ? `g${rowNum}` : `r${rowNum}c${col}`));
+
+    const ownerRows = [];
+    for (let rowNum = 1; rowNum <= totalRows; rowNum++) {
+      ownerRows.push(rowNum <= headerRowCount ? headerOwners.owners[rowNum - 1] : dataOwners(rowNum));
     }
 
-    let maxDepth = 1;
-    let currentDepth = 1;
+    const lines = [this.renderBorderLine(null, ownerRows[0], columnWidths)];
+
+    for (let rowNum = 1; rowNum <= totalRows; rowNum++) {
+      const owners = ownerRows[rowNum - 1];
+      const rowHeight = this.table.getRowHeight(rowNum);
 
-    // Count bracket nesting depth
-    for (let i = 0; i < structure.length; i++) {
-      const char = structure[i];
-      if (char === '[') {
-        currentDepth++;
-        maxDepth = Math.max(maxDepth, currentDepth);
-      } else if (char === ']') {
-        currentDepth--;
+      for (let lineIndex = 0; lineIndex < rowHeight; lineIndex++) {
+        lines.push(this.renderBorderedLine(rowNum, lineIndex, owners, headerOwners.firstRow, columnWidths));
+      }
+
+      const isLastRow = rowNum === totalRows;
+      const isLastHeaderRow = rowNum === headerRowCount;
+      const isGroupBoundary =
+        this.table.isGroupHeaderRow(rowNum) ||
+        this.table.isGroupHeaderRow(rowNum + 1) ||
+        this.hasSeparatorAbove(rowNum + 1);
+      if (!isLastRow && (rowNum < headerRowCount || isLastHeaderRow || isGroupBoundary || this.rowSeparator)) {
+        lines.push(this.renderBorderLine(owners, ownerRows[rowNum], columnWidths));
       }
     }
 
-    return maxDepth;
+    lines.push(this.renderBorderLine(ownerRows[totalRows - 1], null, columnWidths));
+    return lines.join('\n');
   }
 
-  isHeaderRow(rowNum) {
-    const headerRowCount = this.calculateHeaderRowCount();
-    return rowNum <= headerRowCount;
+  /**
+   * Map every header cell position to the structure item that covers it. A group covers its
+   * sub-columns on its own level; a leaf covers its column from its level down to the last
+   * header row. Leading non-structure columns (line numbers) cover all header rows.
+   * Returns { owners: [row][col] -> id, firstRow: id -> first header row of that item }.
+   */
+  buildHeaderOwners(headerRowCount) {
+    const columns = this.dimensions.columns;
+    const owners = Array.from({ length: headerRowCount }, () => new Array(columns));
+    const firstRow = new Map();
+    const parsed = parseStructure(this.structure);
+
+    const cover = (id, fromRow, toRow, fromCol, span) => {
+      firstRow.set(id, fromRow);
+      for (let row = fromRow; row <= toRow; row++) {
+        for (let col = fromCol; col < fromCol + span; col++) {
+          owners[row - 1][col] = id;
+        }
+      }
+    };
+
+    const leadingColumns = leadingColumnCount(parsed, columns);
+    for (let col = 0; col < leadingColumns; col++) {
+      cover(`l${col}`, 1, headerRowCount, col, 1);
+    }
+
+    let nextId = 0;
+    const coverLevel = (items, level, startCol) => {
+      let col = startCol;
+      items.forEach(item => {
+        const id = `h${nextId++}`;
+        if (item.group && item.group.length > 0) {
+          const span = countLeaves(item.group);
+          cover(id, level, level, col, span);
+          coverLevel(item.group, level + 1, col);
+          col += span;
+        } else {
+          cover(id, level, headerRowCount, col, 1);
+          col++;
+        }
+      });
+    };
+
+    coverLevel(parsed, 1, leadingColumns);
+    return { owners, firstRow };
+  }
+
+  /**
+   * Render one text line of a row. Consecutive columns with the same owner are merged into
+   * one cell; a header item only shows its label on its first row (rowspan continuation).
+   */
+  renderBorderedLine(rowNum, lineIndex, owners, firstRow, columnWidths) {
+    const { v } = this.border;
+    const parts = [];
+    let col = 0;
+
+    while (col < columnWidths.length) {
+      let span = 1;
+      while (col + span < columnWidths.length && owners[col + span] === owners[col]) {
+        span++;
+      }
+
+      const mergedWidth = columnWidths.slice(col, col + span).reduce((sum, width) => sum + width, 0) + 3 * (span - 1);
+      const ownerFirstRow = firstRow.get(owners[col]);
+      const showsContent = ownerFirstRow === undefined || ownerFirstRow === rowNum;
+      const content = showsContent ? this.renderBorderedCell(col, rowNum, lineIndex, mergedWidth, span > 1) : '';
+
+      parts.push(' ' + (content || ' '.repeat(mergedWidth)) + ' ');
+      col += span;
+    }
+
+    return v + parts.join(v) + v;
+  }
+
+  /**
+   * Render a cell padded to its full width (bordered cells are padded even in the last column)
+   */
+  renderBorderedCell(col, rowNum, lineIndex, width, merged) {
+    const cellRef = this.table.getCellReference(col, rowNum);
+    const cell = this.table.getCell(cellRef);
+    const format = merged ? { ...this.table.getCellFormat(cellRef), align: 'left' } : this.table.getCellFormat(cellRef);
+
+    const content = lineIndex < cell.multiline.length ? cell.multiline[lineIndex] : '';
+
+    let displayContent = content;
+    if (format.originalContent && content === this.removeAnsiCodes(format.originalContent)) {
+      displayContent = format.originalContent;
+    }
+
+    if (this.table.isGroupHeaderRow(rowNum)) {
+      return this.applyAlignment(this.truncateText(displayContent, width), width, 'left');
+    }
+
+    if (displayContent && displayContent.trim()) {
+      displayContent = this.applyColorOptimized(displayContent, col, rowNum);
+    }
+
+    displayContent = this.clipContent(displayContent, format);
+    return this.applyAlignment(displayContent, width, format.align || this.detectAlignment(displayContent));
+  }
+
+  /**
+   * Render a horizontal border between two rows given the owners above and below
+   * (null for the outer top/bottom borders). A column gets a horizontal line unless the
+   * same cell continues across it; each junction is picked from the lines that meet there.
+   */
+  renderBorderLine(above, below, columnWidths) {
+    const { h } = this.border;
+    const last = columnWidths.length - 1;
+    const horizontal = col => !above || !below || above[col] !== below[col];
+    const verticalAbove = col => !!above && above[col] !== above[col + 1];
+    const verticalBelow = col => !!below && below[col] !== below[col + 1];
+
+    let line = this.junction(!!above, !!below, false, horizontal(0));
+
+    columnWidths.forEach((width, col) => {
+      line += (horizontal(col) ? h : ' ').repeat(width + 2);
+      line += col === last
+        ? this.junction(!!above, !!below, horizontal(col), false)
+        : this.junction(verticalAbove(col), verticalBelow(col), horizontal(col), horizontal(col + 1));
+    });
+
+    return line;
+  }
+
+  /**
+   * Pick the border character where lines from the given sides meet
+   */
+  junction(up, down, left, right) {
+    const b = this.border;
+    const vertical = up || down;
+    const horizontalLine = left || right;
+
+    if (up && down && left && right) return b.cross;
+    if (down && left && right) return b.teeDown;
+    if (up && left && right) return b.teeUp;
+    if (up && down && right) return b.teeRight;
+    if (up && down && left) return b.teeLeft;
+    if (down && right) return b.topLeft;
+    if (down && left) return b.topRight;
+    if (up && right) return b.bottomLeft;
+    if (up && left) return b.bottomRight;
+    if (vertical) return b.v;
+    if (horizontalLine) return b.h;
+    return ' ';
   }
 
   /**
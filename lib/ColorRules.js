@@ -0,0 +1,102 @@
+/**
+ * Conditional cell colors - a column's `colorRules` property colors every cell by its own
+ * (raw, unformatted) value instead of the whole column with `color`:
+ *
+ *   status{colorRules:FAILED:red|OK:green}
+ *   latency{colorRules:<100:green|<500:yellow|*:red}
+ *   code{colorRules:~^5\d\d$:red}
+ *
+ * Rules are separated by `|` (`\|` for a literal one) and the first matching rule wins. Each
+ * is a condition and a color after the last `:`:
+ *
+ *   - value, =value, !=value  equality; numerically when both sides are numbers
+ *   - <n, <=n, >n, >=n        thresholds, only matched by numeric values
+ *   - ~regex                  regular expression tested against the value
+ *   - *                       any value (a fallback as the last rule)
+ *
+ * TableParser stores the resulting color as a cell format, which overrides the column color.
+ */
+import { isNumeric } from "./Numeric.js";
+
+const OPERATORS = ["<=", ">=", "!=", "<", ">", "=", "~"];
+
+const COMPARISONS = {
+  "=": (value, operand) =>
+    isNumeric(value) && isNumeric(operand) ? Number(value) === Number(operand) : String(value) === operand,
+  "!=": (value, operand) => !COMPARISONS["="](value, operand),
+  "<": (value, operand) => isNumeric(value) && Number(value) < Number(operand),
+  "<=": (value, operand) => isNumeric(value) && Number(value) <= Number(operand),
+  ">": (value, operand) => isNumeric(value) && Number(value) > Number(operand),
+  ">=": (value, operand) => isNumeric(value) && Number(value) >= Number(operand)
+};
+
+// Parsed rules by property text: every cell of a column asks for the same rules
+const parsedRules = new Map();
+
+/**
+ * Parse a `colorRules` property into [{ matches(value), color }]
+ */
+export function parseColorRules(text) {
+  const key = String(text);
+  if (!parsedRules.has(key)) {
+    parsedRules.set(
+      key,
+      key.split(/(?<!\\)\|/).map(entry => parseRule(entry.replace(/\\\|/g, "|").trim()))
+    );
+  }
+  return parsedRules.get(key);
+}
+
+/**
+ * The color of the first rule matching a value, or undefined
+ */
+export function resolveColor(rules, value) {
+  const cellValue = value === null || value === undefined ? "" : value;
+  const rule = rules.find(candidate => candidate.matches(cellValue));
+  return rule ? rule.color : undefined;
+}
+
+/**
+ * Validate the `colorRules` properties of a parsed structure
+ */
+export function validateColorRules(parsedStructure) {
+  parsedStructure.forEach(item => {
+    if (item.group && item.group.length > 0) {
+      validateColorRules(item.group);
+    } else if (item.properties && item.properties.colorRules !== undefined) {
+      parseColorRules(item.properties.colorRules);
+    }
+  });
+}
+
+function parseRule(entry) {
+  const separatorIndex = entry.lastIndexOf(":");
+  const condition = separatorIndex === -1 ? "" : entry.slice(0, separatorIndex).trim();
+  const color = separatorIndex === -1 ? "" : entry.slice(separatorIndex + 1).trim();
+  if (!condition || !color) {
+    throw new Error(`Invalid color rule: ${entry} (expected condition:color, e.g. <100:green)`);
+  }
+
+  if (condition === "*") {
+    return { matches: () => true, color };
+  }
+
+  const operator = OPERATORS.find(candidate => condition.startsWith(candidate));
+  const operand = operator ? condition.slice(operator.length).trim() : condition;
+
+  if (operator === "~") {
+    let pattern;
+    try {
+      pattern = new RegExp(operand);
+    } catch (e) {
+      throw new Error(`Invalid color rule: ${entry} (${e.message})`);
+    }
+    return { matches: value => pattern.test(String(value)), color };
+  }
+
+  const comparison = COMPARISONS[operator || "="];
+  if (["<", "<=", ">", ">="].includes(operator) && !isNumeric(operand)) {
+    throw new Error(`Invalid color rule: ${entry} (${operator} needs a number)`);
+  }
+  return { matches: value => comparison(value, operand), color };
+}
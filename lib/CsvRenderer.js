@@ -16,8 +16,11 @@
  * than inferred spatially from the header cells: a top-level leaf placed between two groups
  * leaves an empty cell below it that spatial span-inference cannot disambiguate, whereas the
  * parsed structure is unambiguous. Data rows are still read straight from the table cells.
+ *
+ * The aggregate footer row (columns with an `agg` property) is always the last record, so
+ * spreadsheet imports get it where a totals row is expected.
  */
-import { parseStructure } from "./Structure.js";
+import { leadingColumnCount, leafLabels, parseStructure, structureDepth } from "./Structure.js";
 
 export class CsvRenderer {
   constructor(table, structure = "") {
@@ -35,18 +38,37 @@ export class CsvRenderer {
     }
 
     const parsed = parseStructure(this.structure);
-    const headerRowCount = this.calculateHeaderRowCount(parsed);
     const headers = this.buildHeaders(parsed, columns);
 
     const lines = [];
     lines.push(this.buildRecord(headers.map(label => this.escape(label))));
+    lines.push(...this.buildDataRecords(parsed, columns, rows));
+
+    return lines.join("\n");
+  }
 
-    // Data rows start after all header rows.
-    for (let rowNum = headerRowCount + 1; rowNum <= rows; rowNum++) {
-      lines.push(this.buildRecord(this.buildRowFields(rowNum, columns)));
+  /**
+   * Render only the data rows (no header row). Streaming output prints the header once
+   * and then appends each batch of records with this method.
+   */
+  printRows() {
+    const { columns, rows, totalCells } = this.table.getDimensions();
+    if (totalCells === 0) {
+      return "";
     }
 
-    return lines.join("\n");
+    return this.buildDataRecords(parseStructure(this.structure), columns, rows).join("\n");
+  }
+
+  /**
+   * Build one CSV record per data row. Data rows start after all header rows.
+   */
+  buildDataRecords(parsed, columns, rows) {
+    const records = [];
+    for (let rowNum = structureDepth(parsed) + 1; rowNum <= rows; rowNum++) {
+      records.push(this.buildRecord(this.buildRowFields(rowNum, columns)));
+    }
+    return records;
   }
 
   /**
@@ -55,10 +77,9 @@ export class CsvRenderer {
    * numbers are enabled the table has one extra leading column, which is labelled "#".
    */
   buildHeaders(parsed, columns) {
-    const leafPaths = [];
-    this.collectLeafPaths(parsed, "", leafPaths);
+    const leafPaths = leafLabels(parsed);
 
-    const offset = columns - leafPaths.length;
+    const offset = leadingColumnCount(parsed, columns);
     const headers = [];
     for (let col = 0; col < columns; col++) {
       const leafIndex = col - offset;
@@ -79,45 +100,21 @@ export class CsvRenderer {
     return this.stripAnsi(cell.content).trim();
   }
 
-  /**
-   * Depth-first collection of leaf label paths. Nested labels are joined with "." to match
-   * the dot-notation key convention used throughout the codebase.
-   */
-  collectLeafPaths(items, prefix, out) {
-    items.forEach(item => {
-      const label = this.cleanLabel(item.label !== undefined ? item.label : item.field);
-      const path = prefix ? `${prefix}.${label}` : label;
-
-      const isGroup = item.group && item.group.length > 0;
-      const collectGroup = () => this.collectLeafPaths(item.group, path, out);
-      const collectLeaf = () => out.push(path);
-
-      (isGroup ? collectGroup : collectLeaf)();
-    });
-  }
-
-  /**
-   * Number of leading header rows equals the nesting depth of the parsed structure.
-   */
-  calculateHeaderRowCount(parsed) {
-    const depthOf = items =>
-      items.reduce((max, item) => {
-        const childDepth = item.group && item.group.length > 0 ? 1 + depthOf(item.group) : 1;
-        return Math.max(max, childDepth);
-      }, 1);
-
-    return depthOf(parsed);
-  }
-
   /**
    * Build the CSV field list for a single data row.
    */
   buildRowFields(rowNum, columns) {
     const fields = [];
     for (let col = 0; col < columns; col++) {
-      const cell = this.table.getCell(this.table.getCellReference(col, rowNum));
-      // Collapse multi-line/wrapped content to a single line (ignore width formatting).
-      const value = cell.multiline.map(line => this.stripAnsi(line)).join(" ").trim();
+      const cellRef = this.table.getCellReference(col, rowNum);
+      const cell = this.table.getCell(cellRef);
+      const { fullContent } = this.table.getFormat(cellRef);
+      // Collapse multi-line/wrapped content to a single line (ignore width formatting);
+      // values cut by an overflow mode are written in full.
+      const value =
+        fullContent !== undefined
+          ? this.stripAnsi(fullContent).trim()
+          : cell.multiline.map(line => this.stripAnsi(line)).join(" ").trim();
       fields.push(this.escape(value));
     }
     return fields;
@@ -130,15 +127,6 @@ export class CsvRenderer {
     return escapedFields.join(",");
   }
 
-  /**
-   * Strip surrounding quotes from a structure label (labels may be quoted, e.g. "Email Address").
-   */
-  cleanLabel(label) {
-    const text = this.stripAnsi(String(label));
-    const isQuoted = text.length >= 2 && text.startsWith('"') && text.endsWith('"');
-    return isQuoted ? text.slice(1, -1) : text;
-  }
-
   /**
    * Remove ANSI color codes.
    */
@@ -0,0 +1,655 @@
+/**
+ * Expression language - a small, safe language evaluated against one record at a time.
+ * Nothing is passed to eval/Function: the text is tokenized, parsed into a tree by a recursive
+ * descent parser and the tree is walked by `evaluate`.
+ *
+ * Used by the `--where` filter and by computed columns in the structure (`=price*qty:Total`):
+ *
+ *   status = "failed"                      comparisons: = == != <> > >= < <=
+ *   total > 100 and not paid               and / or / not (also && || !), parentheses
+ *   name contains "smith"                  substring of a string, element of an array
+ *   email matches /@example\.com$/i        regular expression (also ~); a string is a pattern too
+ *   status in ("failed", "error")          membership in a list (also `not in`)
+ *   manager is null, manager is not null   null checks; missing fields are null
+ *   address.city = "NYC", tags[0] = "a"    dot paths and array indices into the record
+ *   price * qty - discount                 arithmetic: + - * / % and unary minus
+ *   firstName + " " + lastName             + concatenates when an operand is text
+ *   nickname ?? name                       the left value unless it is null
+ *   qty > 10 ? "bulk" : "retail"           conditional
+ *
+ * Literals are numbers, "double" or 'single' quoted strings, true, false and null. Keywords are
+ * case-insensitive. A path that walks through an array continues with its first element.
+ *
+ * Numbers compare numerically, also against numeric strings; other values compare as strings.
+ * Any comparison with null is false except `=`/`!=` against null. Paths are null-safe (`a.b.c`
+ * and `a?.b` are null when any part is missing) and arithmetic with null, text that is not a
+ * number or a division by zero yields null instead of failing. Likewise a `matches` pattern
+ * taken from a field that is not a valid regular expression matches nothing.
+ *
+ * Syntax errors are thrown with the 1-based `position` of the offending token.
+ */
+import { isNumeric } from "./Numeric.js";
+
+const KEYWORDS = ["and", "or", "not", "in", "contains", "matches", "is", "null", "true", "false"];
+
+const COMPARISON_OPERATORS = ["=", "==", "!=", "<>", ">", ">=", "<", "<="];
+
+// Compiled patterns by text (null when invalid): every record of a column asks for them again.
+// Capped, since a pattern field may hold a different value in every record.
+const fieldPatterns = new Map();
+
+const FIELD_PATTERNS_LIMIT = 100;
+
+/**
+ * Parse an expression into a tree that can be evaluated against records
+ */
+export function parseExpression(text) {
+  const parser = new ExpressionParser(text);
+  return parser.parse();
+}
+
+/**
+ * Parse the longest expression at the start of the text, for expressions embedded in other
+ * syntax (computed columns are followed by `:Label{...}`). Returns { node, length } where
+ * length is the number of characters the expression takes.
+ */
+export function parseExpressionPrefix(text) {
+  const parser = new ExpressionParser(text, true);
+  const node = parser.parseExpression();
+  return { node, length: parser.peek().position - 1 };
+}
+
+/**
+ * Evaluate a parsed expression against a record
+ */
+export function evaluate(node, record) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "path":
+      return resolvePath(record, node.segments);
+    case "regex":
+      return node.regex;
+    case "list":
+      return node.items.map(item => evaluate(item, record));
+    case "not":
+      return !isTruthy(evaluate(node.operand, record));
+    case "and":
+      return isTruthy(evaluate(node.left, record)) && isTruthy(evaluate(node.right, record));
+    case "or":
+      return isTruthy(evaluate(node.left, record)) || isTruthy(evaluate(node.right, record));
+    case "negate":
+      return arithmetic("-", 0, evaluate(node.operand, record));
+    case "arithmetic":
+      return arithmetic(node.operator, evaluate(node.left, record), evaluate(node.right, record));
+    case "coalesce": {
+      const value = evaluate(node.left, record);
+      return isNull(value) ? evaluate(node.right, record) : value;
+    }
+    case "conditional":
+      return isTruthy(evaluate(node.condition, record))
+        ? evaluate(node.consequent, record)
+        : evaluate(node.alternative, record);
+    case "compare":
+      return compare(node.operator, evaluate(node.left, record), evaluate(node.right, record));
+    case "contains":
+      return contains(evaluate(node.left, record), evaluate(node.right, record));
+    case "matches":
+      return matches(evaluate(node.left, record), evaluate(node.right, record));
+    case "in":
+      return evaluate(node.list, record).some(item => equals(evaluate(node.left, record), item));
+    case "isNull":
+      return isNull(evaluate(node.operand, record));
+    default:
+      throw new Error(`Unknown expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Build a record predicate from a `--where` expression
+ */
+export function createFilter(text) {
+  const tree = parseExpression(text);
+  return record => isTruthy(evaluate(tree, record));
+}
+
+function syntaxError(message, position) {
+  const error = new Error(`${message} at position ${position}`);
+  error.position = position;
+  return error;
+}
+
+/**
+ * Split the text into tokens: { type, value, position }
+ * Types: number, string, regex, identifier, keyword, operator, punctuation, end
+ */
+function tokenize(text, partial = false) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    // A prefix ends where the text stops being an expression
+    if (partial) {
+      try {
+        i = readToken(text, i, tokens);
+      } catch (e) {
+        break;
+      }
+      continue;
+    }
+    i = readToken(text, i, tokens);
+  }
+
+  tokens.push({ type: "end", value: "", position: i + 1 });
+  return tokens;
+}
+
+/**
+ * Read the token starting at index i (skipping whitespace) and return the index after it
+ */
+function readToken(text, i, tokens) {
+  const char = text[i];
+  const position = i + 1;
+
+  if (/\s/.test(char)) {
+    return i + 1;
+  } else if (/\d/.test(char) || (char === "." && /\d/.test(text[i + 1] || ""))) {
+    const match = text.slice(i).match(/^\d*\.?\d+([eE][+-]?\d+)?/);
+    tokens.push({ type: "number", value: Number(match[0]), position });
+    i += match[0].length;
+  } else if (char === '"' || char === "'") {
+    let value = "";
+    let end = i + 1;
+    while (end < text.length && text[end] !== char) {
+      if (text[end] === "\\" && end + 1 < text.length) {
+        end++;
+      }
+      value += text[end];
+      end++;
+    }
+    if (end >= text.length) {
+      throw syntaxError("Unterminated string", position);
+    }
+    tokens.push({ type: "string", value, position });
+    i = end + 1;
+  } else if (char === "/" && canStartRegex(tokens)) {
+    const match = text.slice(i).match(/^\/((?:\\.|[^\\/])*)\/([a-z]*)/);
+    if (!match) {
+      throw syntaxError("Unterminated regular expression", position);
+    }
+    let regex;
+    try {
+      regex = new RegExp(match[1], match[2]);
+    } catch (e) {
+      throw syntaxError(`Invalid regular expression /${match[1]}/`, position);
+    }
+    tokens.push({ type: "regex", value: regex, position });
+    i += match[0].length;
+  } else if (/[A-Za-z_$]/.test(char)) {
+    const match = text.slice(i).match(/^[A-Za-z_$][\w$]*/);
+    const word = match[0];
+    const keyword = word.toLowerCase();
+    if (KEYWORDS.includes(keyword)) {
+      tokens.push({ type: "keyword", value: keyword, position });
+    } else {
+      tokens.push({ type: "identifier", value: word, position });
+    }
+    i += word.length;
+  } else {
+    const operator = ["==", "!=", "<>", ">=", "<=", "&&", "||", "??"].find(op => text.startsWith(op, i));
+    if (text.startsWith("?.", i) && !/\d/.test(text[i + 2] || "")) {
+      // Null-safe access is the same as a plain dot: paths never fail on missing parts
+      tokens.push({ type: "punctuation", value: ".", position });
+      i += 2;
+    } else if (operator) {
+      tokens.push({ type: "operator", value: operator, position });
+      i += operator.length;
+    } else if ("=<>!~+-*/%?:".includes(char)) {
+      tokens.push({ type: "operator", value: char, position });
+      i++;
+    } else if ("()[],.".includes(char)) {
+      tokens.push({ type: "punctuation", value: char, position });
+      i++;
+    } else {
+      throw syntaxError(`Unexpected character "${char}"`, position);
+    }
+  }
+
+  return i;
+}
+
+/**
+ * A slash starts a regular expression where a value is expected (not after a value)
+ */
+function canStartRegex(tokens) {
+  const previous = tokens[tokens.length - 1];
+  if (!previous) {
+    return true;
+  }
+  if (previous.type === "operator" || previous.type === "keyword") {
+    return !["null", "true", "false"].includes(previous.value);
+  }
+  return previous.type === "punctuation" && previous.value !== ")" && previous.value !== "]";
+}
+
+class ExpressionParser {
+  constructor(text, partial = false) {
+    this.text = text;
+    this.tokens = tokenize(text, partial);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.peek().type === "end") {
+      throw syntaxError("Empty expression", 1);
+    }
+    const node = this.parseExpression();
+    const token = this.peek();
+    if (token.type !== "end") {
+      throw syntaxError(`Unexpected ${describe(token)}`, token.position);
+    }
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token.type === "keyword" && token.value === value;
+  }
+
+  isToken(type, value) {
+    const token = this.peek();
+    return token.type === type && token.value === value;
+  }
+
+  expect(type, value) {
+    const token = this.peek();
+    if (token.type !== type || token.value !== value) {
+      throw syntaxError(`Expected "${value}" but found ${describe(token)}`, token.position);
+    }
+    return this.next();
+  }
+
+  parseExpression() {
+    return this.parseConditional();
+  }
+
+  parseConditional() {
+    const condition = this.parseCoalesce();
+    if (!this.isToken("operator", "?")) {
+      return condition;
+    }
+    this.next();
+    const consequent = this.parseConditional();
+    this.expect("operator", ":");
+    return { type: "conditional", condition, consequent, alternative: this.parseConditional() };
+  }
+
+  parseCoalesce() {
+    let left = this.parseOr();
+    while (this.isToken("operator", "??")) {
+      this.next();
+      left = { type: "coalesce", left, right: this.parseOr() };
+    }
+    return left;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword("or") || this.isToken("operator", "||")) {
+      this.next();
+      left = { type: "or", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isKeyword("and") || this.isToken("operator", "&&")) {
+      this.next();
+      left = { type: "and", left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isKeyword("not") || this.isToken("operator", "!")) {
+      this.next();
+      return { type: "not", operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === "operator" && COMPARISON_OPERATORS.includes(token.value)) {
+      this.next();
+      return { type: "compare", operator: token.value, left, right: this.parseAdditive() };
+    }
+    if (this.isKeyword("contains")) {
+      this.next();
+      return { type: "contains", left, right: this.parseAdditive() };
+    }
+    if (this.isKeyword("matches") || this.isToken("operator", "~")) {
+      this.next();
+      return { type: "matches", left, right: this.parsePattern() };
+    }
+    if (this.isKeyword("in")) {
+      this.next();
+      return { type: "in", left, list: this.parseList() };
+    }
+    const following = this.tokens[this.index + 1];
+    if (this.isKeyword("not") && following.type === "keyword" && following.value === "in") {
+      this.index += 2;
+      return { type: "not", operand: { type: "in", left, list: this.parseList() } };
+    }
+    if (this.isKeyword("is")) {
+      this.next();
+      const negated = this.isKeyword("not");
+      if (negated) {
+        this.next();
+      }
+      this.expectKeyword("null");
+      const node = { type: "isNull", operand: left };
+      return negated ? { type: "not", operand: node } : node;
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isToken("operator", "+") || this.isToken("operator", "-")) {
+      const operator = this.next().value;
+      left = { type: "arithmetic", operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (["*", "/", "%"].some(operator => this.isToken("operator", operator))) {
+      const operator = this.next().value;
+      left = { type: "arithmetic", operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isToken("operator", "-")) {
+      this.next();
+      return { type: "negate", operand: this.parseUnary() };
+    }
+    return this.parseValue();
+  }
+
+  expectKeyword(value) {
+    const token = this.peek();
+    if (token.type !== "keyword" || token.value !== value) {
+      throw syntaxError(`Expected "${value}" but found ${describe(token)}`, token.position);
+    }
+    return this.next();
+  }
+
+  /**
+   * The right side of matches: a regular expression literal, or a string compiled as a pattern
+   */
+  parsePattern() {
+    const token = this.peek();
+    if (token.type !== "string") {
+      return this.parseAdditive();
+    }
+
+    this.next();
+    try {
+      return { type: "regex", regex: new RegExp(token.value) };
+    } catch (e) {
+      throw syntaxError(`Invalid regular expression "${token.value}"`, token.position);
+    }
+  }
+
+  parseList() {
+    const open = this.peek();
+    if (!this.isToken("punctuation", "(") && !this.isToken("punctuation", "[")) {
+      throw syntaxError(`Expected a list but found ${describe(open)}`, open.position);
+    }
+    this.next();
+    const close = open.value === "(" ? ")" : "]";
+
+    const items = [];
+    if (!this.isToken("punctuation", close)) {
+      items.push(this.parseAdditive());
+      while (this.isToken("punctuation", ",")) {
+        this.next();
+        items.push(this.parseAdditive());
+      }
+    }
+    this.expect("punctuation", close);
+    return { type: "list", items };
+  }
+
+  parseValue() {
+    const token = this.peek();
+
+    if (token.type === "number" || token.type === "string") {
+      this.next();
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "regex") {
+      this.next();
+      return { type: "regex", regex: token.value };
+    }
+    if (token.type === "keyword" && ["null", "true", "false"].includes(token.value)) {
+      this.next();
+      return { type: "literal", value: token.value === "null" ? null : token.value === "true" };
+    }
+    if (token.type === "identifier") {
+      return this.parsePath();
+    }
+    if (this.isToken("punctuation", "(")) {
+      this.next();
+      const node = this.parseExpression();
+      this.expect("punctuation", ")");
+      return node;
+    }
+
+    throw syntaxError(`Expected a value but found ${describe(token)}`, token.position);
+  }
+
+  /**
+   * field, field.nested, field[0], field.0
+   */
+  parsePath() {
+    const segments = [this.next().value];
+
+    for (;;) {
+      if (this.isToken("punctuation", ".")) {
+        this.next();
+        const token = this.peek();
+        if (token.type !== "identifier" && token.type !== "keyword" && token.type !== "number") {
+          throw syntaxError(`Expected a field name but found ${describe(token)}`, token.position);
+        }
+        this.next();
+        segments.push(String(token.value));
+      } else if (this.isToken("punctuation", "[")) {
+        this.next();
+        const token = this.peek();
+        if (token.type !== "number" && token.type !== "string") {
+          throw syntaxError(`Expected an index but found ${describe(token)}`, token.position);
+        }
+        this.next();
+        segments.push(String(token.value));
+        this.expect("punctuation", "]");
+      } else {
+        return { type: "path", segments };
+      }
+    }
+  }
+}
+
+function describe(token) {
+  if (token.type === "end") {
+    return "end of expression";
+  }
+  if (token.type === "string") {
+    return `string "${token.value}"`;
+  }
+  if (token.type === "regex") {
+    return `regular expression ${token.value}`;
+  }
+  return `"${token.value}"`;
+}
+
+function resolvePath(record, segments) {
+  let current = record;
+  for (const segment of segments) {
+    if (Array.isArray(current) && !/^\d+$/.test(segment)) {
+      current = current[0];
+    }
+    if (current === null || current === undefined || typeof current !== "object") {
+      return null;
+    }
+    current = current[segment];
+  }
+  return current === undefined ? null : current;
+}
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return !!value;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (isNumeric(value)) {
+    return Number(value);
+  }
+  return NaN;
+}
+
+function equals(a, b) {
+  if (isNull(a) || isNull(b)) {
+    return isNull(a) && isNull(b);
+  }
+  if (typeof a === "number" || typeof b === "number") {
+    return toNumber(a) === toNumber(b);
+  }
+  if (typeof a === "object" || typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return String(a) === String(b);
+}
+
+function compare(operator, a, b) {
+  if (operator === "=" || operator === "==") {
+    return equals(a, b);
+  }
+  if (operator === "!=" || operator === "<>") {
+    return !equals(a, b);
+  }
+  if (isNull(a) || isNull(b)) {
+    return false;
+  }
+
+  const numbers = [toNumber(a), toNumber(b)];
+  const [left, right] = !isNaN(numbers[0]) && !isNaN(numbers[1]) ? numbers : [String(a), String(b)];
+
+  switch (operator) {
+    case ">":
+      return left > right;
+    case ">=":
+      return left >= right;
+    case "<":
+      return left < right;
+    default:
+      return left <= right;
+  }
+}
+
+/**
+ * + adds numbers and concatenates when either side is text (null counts as empty text);
+ * the other operators need two numbers
+ */
+function arithmetic(operator, a, b) {
+  if (operator === "+" && (isText(a) || isText(b))) {
+    return (isNull(a) ? "" : String(a)) + (isNull(b) ? "" : String(b));
+  }
+
+  const left = toNumber(a);
+  const right = toNumber(b);
+  if (isNaN(left) || isNaN(right)) {
+    return null;
+  }
+
+  switch (operator) {
+    case "+":
+      return left + right;
+    case "-":
+      return left - right;
+    case "*":
+      return left * right;
+    case "/":
+      return right === 0 ? null : left / right;
+    default:
+      return right === 0 ? null : left % right;
+  }
+}
+
+function isText(value) {
+  return typeof value === "string" && isNaN(toNumber(value));
+}
+
+function contains(container, value) {
+  if (isNull(container)) {
+    return false;
+  }
+  if (Array.isArray(container)) {
+    return container.some(item => equals(item, value));
+  }
+  return String(container).includes(isNull(value) ? "" : String(value));
+}
+
+function matches(value, pattern) {
+  if (isNull(value) || isNull(pattern)) {
+    return false;
+  }
+  const regex = pattern instanceof RegExp ? pattern : fieldPattern(String(pattern));
+  if (!regex) {
+    return false;
+  }
+  regex.lastIndex = 0;
+  return regex.test(typeof value === "object" ? JSON.stringify(value) : String(value));
+}
+
+function fieldPattern(text) {
+  if (!fieldPatterns.has(text)) {
+    let regex = null;
+    try {
+      regex = new RegExp(text);
+    } catch (e) {
+      // Not a regular expression: matches nothing
+    }
+    if (fieldPatterns.size >= FIELD_PATTERNS_LIMIT) {
+      fieldPatterns.delete(fieldPatterns.keys().next().value);
+    }
+    fieldPatterns.set(text, regex);
+  }
+  return fieldPatterns.get(text);
+}
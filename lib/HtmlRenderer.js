@@ -0,0 +1,198 @@
+/**
+ * HTML Renderer - Dumb renderer that reads Table cells and outputs an HTML <table>.
+ * Contains no JSON parsing logic - it just renders cell contents as table rows.
+ *
+ * Unlike Markdown, HTML can express grouped headers exactly, so the <thead> rows are built
+ * from the parsed structure (Structure.js) rather than inferred from the header cells, the
+ * same way CsvRenderer derives its flattened labels: a group header gets a `colspan` over
+ * its leaf columns and a leaf header that sits above a deeper group gets a `rowspan` down
+ * to the last header row. Data rows are read straight from the table cells; the aggregate
+ * footer row goes into a <tfoot> and group header rows span the whole table.
+ *
+ * All content is HTML-escaped and ANSI codes are stripped. Column `align`, `color`, `bg` and
+ * `style` properties become inline styles. With the `standalone` option a complete HTML page with
+ * a minimal stylesheet is emitted instead of the bare <table> fragment.
+ */
+import { countLeaves, leadingColumnCount, parseStructure, stripQuotes, structureDepth } from "./Structure.js";
+import { toCssColor } from "./AnsiStyle.js";
+
+const PAGE_STYLE = [
+  "table { border-collapse: collapse; font-family: sans-serif; }",
+  "th, td { border: 1px solid #ccc; padding: 4px 8px; vertical-align: top; }",
+  "th { background: #f4f4f4; }"
+].join(" ");
+
+const TEXT_STYLE_CSS = {
+  bold: "font-weight: bold",
+  dim: "opacity: 0.6",
+  italic: "font-style: italic",
+  underline: "text-decoration: underline"
+};
+
+export class HtmlRenderer {
+  constructor(table, structure = "", options = {}) {
+    this.table = table;
+    this.structure = structure;
+    this.standalone = !!options.standalone;
+  }
+
+  /**
+   * Render the table as an HTML fragment, or as a full page when standalone
+   */
+  print() {
+    const { columns, rows, totalCells } = this.table.getDimensions();
+    if (totalCells === 0) {
+      return "";
+    }
+
+    const parsed = parseStructure(this.structure);
+    const headerRowCount = structureDepth(parsed);
+
+    const lines = ["<table>", "  <thead>"];
+    this.buildHeaderRows(parsed, columns, headerRowCount).forEach(cells => {
+      lines.push(`    <tr>${cells.join("")}</tr>`);
+    });
+    lines.push("  </thead>", "  <tbody>");
+    const footerRows = [];
+    for (let rowNum = headerRowCount + 1; rowNum <= rows; rowNum++) {
+      const row = this.buildDataRow(rowNum, columns);
+      (this.table.isFooterRow(rowNum) ? footerRows : lines).push(row);
+    }
+    lines.push("  </tbody>");
+    if (footerRows.length > 0) {
+      lines.push("  <tfoot>", ...footerRows, "  </tfoot>");
+    }
+    lines.push("</table>");
+
+    const fragment = lines.join("\n");
+    return this.standalone ? this.wrapPage(fragment) : fragment;
+  }
+
+  /**
+   * Build the <th> cells of every header row. Leading non-structure columns (line numbers)
+   * span all header rows.
+   */
+  buildHeaderRows(parsed, columns, headerRowCount) {
+    const headerRows = Array.from({ length: headerRowCount }, () => []);
+
+    for (let col = 0; col < leadingColumnCount(parsed, columns); col++) {
+      const label = this.stripAnsi(this.table.getCell(this.table.getCellReference(col, 1)).content).trim();
+      headerRows[0].push(this.headerCell(label, { rowspan: headerRowCount }));
+    }
+
+    const addLevel = (items, level) => {
+      items.forEach(item => {
+        const label = this.cleanLabel(item.label !== undefined ? item.label : item.field);
+        const isGroup = item.group && item.group.length > 0;
+
+        if (isGroup) {
+          headerRows[level - 1].push(this.headerCell(label, { colspan: countLeaves(item.group) }));
+          addLevel(item.group, level + 1);
+        } else {
+          headerRows[level - 1].push(this.headerCell(label, { rowspan: headerRowCount - level + 1 }));
+        }
+      });
+    };
+
+    addLevel(parsed, 1);
+    return headerRows;
+  }
+
+  /**
+   * Build a body row: a group header row (--groupBy) is one cell spanning all columns and a
+   * group's subtotal row gets the `subtotal` class
+   */
+  buildDataRow(rowNum, columns) {
+    if (this.table.isGroupHeaderRow(rowNum)) {
+      const label = this.stripAnsi(this.table.getCell(this.table.getCellReference(0, rowNum)).content);
+      const colspan = columns > 1 ? ` colspan="${columns}"` : "";
+      return `    <tr class="group"><th${colspan}>${this.escape(label)}</th></tr>`;
+    }
+
+    const rowClass = this.table.isSubtotalRow(rowNum) ? ' class="subtotal"' : "";
+    return `    <tr${rowClass}>${this.buildDataCells(rowNum, columns).join("")}</tr>`;
+  }
+
+  /**
+   * Build the <td> cells of a data row
+   */
+  buildDataCells(rowNum, columns) {
+    const cells = [];
+    for (let col = 0; col < columns; col++) {
+      const cellRef = this.table.getCellReference(col, rowNum);
+      const cell = this.table.getCell(cellRef);
+      const content = cell.multiline.map(line => this.escape(this.stripAnsi(line))).join("<br>");
+      cells.push(`<td${this.styleAttribute(this.table.getCellFormat(cellRef))}>${content}</td>`);
+    }
+    return cells;
+  }
+
+  headerCell(label, spans) {
+    const attributes = Object.entries(spans)
+      .filter(([, span]) => span > 1)
+      .map(([name, span]) => ` ${name}="${span}"`)
+      .join("");
+    return `<th${attributes}>${this.escape(label)}</th>`;
+  }
+
+  /**
+   * Map column align/color/bg/style properties to an inline style attribute; colors may be
+   * names, 256-color indexes or hex values (see AnsiStyle.js)
+   */
+  styleAttribute(format) {
+    const styles = [];
+    if (format.align) {
+      styles.push(`text-align: ${format.align}`);
+    }
+    if (format.color) {
+      styles.push(`color: ${toCssColor(format.color) || format.color}`);
+    }
+    if (format.bg) {
+      styles.push(`background-color: ${toCssColor(format.bg) || format.bg}`);
+    }
+    if (format.style) {
+      styles.push(...String(format.style).split("+").map(style => TEXT_STYLE_CSS[style.trim()]).filter(Boolean));
+    }
+    return styles.length > 0 ? ` style="${this.escape(styles.join("; "))}"` : "";
+  }
+
+  wrapPage(fragment) {
+    return [
+      "<!DOCTYPE html>",
+      "<html>",
+      "<head>",
+      '<meta charset="utf-8">',
+      "<title>2table</title>",
+      `<style>${PAGE_STYLE}</style>`,
+      "</head>",
+      "<body>",
+      fragment,
+      "</body>",
+      "</html>"
+    ].join("\n");
+  }
+
+  /**
+   * Strip surrounding quotes from a structure label (labels may be quoted, e.g. "Email Address").
+   */
+  cleanLabel(label) {
+    return stripQuotes(this.stripAnsi(String(label)));
+  }
+
+  /**
+   * Remove ANSI color codes.
+   */
+  stripAnsi(text) {
+    if (!text) return "";
+    return String(text).replace(/\x1b\[[0-9;]*m/g, "");
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+}
@@ -0,0 +1,409 @@
+/**
+ * Input parsing strategies (Strategy + Factory pattern).
+ *
+ * The `inputFormat` option selects how the raw stdin text is turned into the
+ * records the rest of the pipeline consumes. Each input type is a strategy class
+ * exposing:
+ *
+ *   - parse(text) -> { data, lineNumbers, invalidLines }
+ *       data          the parsed document (any JSON value; validation happens in
+ *                     the caller exactly as before)
+ *       lineNumbers   optional array with the source line of each `data` element;
+ *                     when absent, array indices (1-based) are used
+ *       invalidLines  entries that could not be parsed at all, as
+ *                     { lineNumber, reason } (same shape TableParser expects)
+ *
+ * `InputParserFactory` maps the type string to a strategy via a lookup registry,
+ * mirroring `ValueFormatterFactory`.
+ *
+ * When a `root` option is given (see RootPath.js), it selects the part of every parsed
+ * document to tabulate: the whole input for json, each line for ndjson and each
+ * document of a multi-document yaml stream. A line or document whose selection is an
+ * array yields one record per element, all with the line (or document) number.
+ */
+import { parseAllDocuments } from "yaml";
+import { selectRootPath } from "./RootPath.js";
+
+/**
+ * Default strategy: the whole input is a single JSON document.
+ */
+export class JsonInputParser {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  parse(text) {
+    return { data: this.selectRoot(JSON.parse(text)), invalidLines: [] };
+  }
+
+  /**
+   * Apply the root path option to a parsed document. The selection must be an array or
+   * an object, otherwise there is nothing to tabulate.
+   */
+  selectRoot(document) {
+    const root = this.options.root;
+    if (!root) {
+      return document;
+    }
+
+    const selected = selectRootPath(document, root);
+    if (selected === null || typeof selected !== "object") {
+      throw new Error(`Root path "${root}" does not resolve to an array or object`);
+    }
+    return selected;
+  }
+}
+
+/**
+ * Newline-delimited JSON: one JSON value per line (or the elements of the array a root
+ * path selects in it). Blank lines are ignored, and
+ * lines that are not valid JSON are reported as invalid lines with their real
+ * (1-based) line number instead of aborting the whole input.
+ */
+export class NdjsonInputParser extends JsonInputParser {
+  parse(text) {
+    const data = [];
+    const lineNumbers = [];
+    const invalidLines = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      const result = this.parseLine(line, index + 1);
+      if (!result) {
+        return;
+      }
+      if (result.invalid) {
+        invalidLines.push(result.invalid);
+      } else {
+        result.items.forEach(item => {
+          data.push(item);
+          lineNumbers.push(result.lineNumber);
+        });
+      }
+    });
+
+    return { data, lineNumbers, invalidLines };
+  }
+
+  /**
+   * Parse a single line. Returns null for blank lines, { invalid } for malformed
+   * JSON and { items, lineNumber } otherwise.
+   */
+  parseLine(line, lineNumber) {
+    if (line.trim() === "") {
+      return null;
+    }
+
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (e) {
+      return { invalid: { lineNumber, reason: "invalid JSON" } };
+    }
+
+    // Each line is its own document, so the root path is resolved per line
+    if (!this.options.root) {
+      return { items: [item], lineNumber };
+    }
+
+    const selected = selectRootPath(item, this.options.root);
+    if (selected === undefined) {
+      return { invalid: { lineNumber, reason: `root path "${this.options.root}" not found` } };
+    }
+    return { items: Array.isArray(selected) ? selected : [selected], lineNumber };
+  }
+}
+
+/**
+ * YAML, in block or flow style. A single document is handled exactly like a JSON
+ * document (an array becomes the records, an object a single record). A multi-document
+ * stream (`---` separated) yields the records of every document the same way; line numbers
+ * are then document numbers and a document whose root path does not resolve is an invalid line.
+ *
+ * Parse errors are reported with the line and column of the problem.
+ */
+export class YamlInputParser extends JsonInputParser {
+  parse(text) {
+    const documents = parseAllDocuments(text).filter(document => !this.isEmptyDocument(document));
+
+    documents.forEach(document => {
+      if (document.errors.length > 0) {
+        throw new Error(this.describeError(document.errors[0]));
+      }
+    });
+
+    if (documents.length <= 1) {
+      const data = documents.length === 1 ? documents[0].toJS() : null;
+      return { data: this.selectRoot(data), invalidLines: [] };
+    }
+
+    const data = [];
+    const lineNumbers = [];
+    const invalidLines = [];
+    const root = this.options.root;
+
+    documents.forEach((document, index) => {
+      const lineNumber = index + 1;
+      const item = root ? selectRootPath(document.toJS(), root) : document.toJS();
+
+      if (item === undefined) {
+        invalidLines.push({ lineNumber, reason: `root path "${root}" not found` });
+      } else {
+        // An array document (or root selection) holds several records
+        (Array.isArray(item) ? item : [item]).forEach(record => {
+          data.push(record);
+          lineNumbers.push(lineNumber);
+        });
+      }
+    });
+
+    return { data, lineNumbers, invalidLines };
+  }
+
+  /**
+   * A document without any content, e.g. after a trailing `---` separator
+   */
+  isEmptyDocument(document) {
+    const contents = document.contents;
+    return !contents || (contents.value === null && contents.source === "");
+  }
+
+  describeError(error) {
+    const reason = error.message.split("\n")[0].replace(/ at line \d+, column \d+:?$/, "");
+    if (!error.linePos) {
+      return `Invalid YAML input: ${reason}`;
+    }
+    const { line, col } = error.linePos[0];
+    return `Invalid YAML input at line ${line}, column ${col}: ${reason}`;
+  }
+}
+
+/**
+ * Comma-separated values (RFC 4180). The first row holds the keys of every record:
+ *
+ *   - fields may be quoted; quoted fields can contain the delimiter, newlines and
+ *     doubled ("") quotes
+ *   - dotted header names (`address.city`, as written by the csv output format) become
+ *     nested objects, so they can be addressed by the structure language
+ *   - `delimiter` overrides the separator (`tab` or `\t` for tabs)
+ *   - `inferTypes` turns numeric and true/false fields into numbers and booleans;
+ *     otherwise every value stays a string
+ *
+ * Line numbers are record numbers (the header is not counted), so a record spanning
+ * several physical lines keeps a single number. Rows with more fields than the header
+ * and unterminated quoted fields are reported as invalid lines.
+ */
+export class CsvInputParser extends JsonInputParser {
+  constructor(options = {}) {
+    super(options);
+    if (options.root) {
+      throw new Error(`--root is not supported for ${this.constructor.formatName} input`);
+    }
+    this.delimiter = resolveDelimiter(options.delimiter) || this.constructor.defaultDelimiter;
+  }
+
+  static get formatName() {
+    return "csv";
+  }
+
+  static get defaultDelimiter() {
+    return ",";
+  }
+
+  parse(text) {
+    const [header, ...rows] = this.parseRows(text.replace(/^\uFEFF/, ""));
+    const data = [];
+    const lineNumbers = [];
+    const invalidLines = [];
+
+    if (!header) {
+      return { data, lineNumbers, invalidLines };
+    }
+
+    const keys = header.fields.map((key, index) => key.trim() || `column${index + 1}`);
+
+    rows.forEach((row, index) => {
+      const lineNumber = index + 1;
+
+      if (!row.terminated) {
+        invalidLines.push({ lineNumber, reason: "unterminated quoted field" });
+      } else if (row.fields.length > keys.length) {
+        invalidLines.push({ lineNumber, reason: `expected ${keys.length} fields, found ${row.fields.length}` });
+      } else {
+        data.push(this.buildRecord(keys, row.fields));
+        lineNumbers.push(lineNumber);
+      }
+    });
+
+    return { data, lineNumbers, invalidLines };
+  }
+
+  /**
+   * Map the fields of a row to the header keys. Missing trailing fields are left out.
+   */
+  buildRecord(keys, fields) {
+    const record = {};
+    fields.forEach((field, index) => {
+      const value = this.options.inferTypes ? inferValue(field) : field;
+      setPath(record, keys[index], value);
+    });
+    return record;
+  }
+
+  /**
+   * Split the text into rows of fields: [{ fields, terminated }]. Blank lines are skipped.
+   */
+  parseRows(text) {
+    const rows = [];
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    let i = 0;
+
+    const endRow = () => {
+      fields.push(field);
+      const isBlank = fields.length === 1 && fields[0] === "";
+      if (!isBlank) {
+        rows.push({ fields, terminated: true });
+      }
+      fields = [];
+      field = "";
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+        i++;
+        continue;
+      }
+
+      if (char === '"' && field === "") {
+        quoted = true;
+      } else if (text.startsWith(this.delimiter, i)) {
+        fields.push(field);
+        field = "";
+        i += this.delimiter.length;
+        continue;
+      } else if (char === "\r" && text[i + 1] === "\n") {
+        endRow();
+        i += 2;
+        continue;
+      } else if (char === "\n" || char === "\r") {
+        endRow();
+      } else {
+        field += char;
+      }
+      i++;
+    }
+
+    if (quoted) {
+      fields.push(field);
+      rows.push({ fields, terminated: false });
+    } else if (field !== "" || fields.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+}
+
+/**
+ * Tab-separated values: the CSV parser with a tab delimiter.
+ */
+export class TsvInputParser extends CsvInputParser {
+  static get formatName() {
+    return "tsv";
+  }
+
+  static get defaultDelimiter() {
+    return "\t";
+  }
+}
+
+function resolveDelimiter(delimiter) {
+  if (!delimiter) {
+    return undefined;
+  }
+  return delimiter === "tab" || delimiter === "\\t" ? "\t" : delimiter;
+}
+
+/**
+ * Convert a CSV field to a number or boolean when it unambiguously is one. Numbers with
+ * leading zeros (zip codes, ids) stay strings.
+ */
+function inferValue(value) {
+  if (/^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === "true";
+  }
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Header segments that would reach an object's prototype instead of a nested field
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Assign a value under a dotted key, creating nested objects. When a segment is already
+ * taken by a plain value, or is one of UNSAFE_KEYS, the flat key is kept instead.
+ */
+function setPath(record, key, value) {
+  const parts = key.split(".");
+  let current = record;
+
+  if (parts.some(part => UNSAFE_KEYS.includes(part))) {
+    // An own property, so even a plain `__proto__` header stays an ordinary field
+    Object.defineProperty(record, key, { value, enumerable: true, writable: true, configurable: true });
+    return;
+  }
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    const part = parts[i];
+    if (current[part] === undefined) {
+      current[part] = {};
+    } else if (current[part] === null || typeof current[part] !== "object") {
+      record[key] = value;
+      return;
+    }
+    current = current[part];
+  }
+
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Registry mapping an `inputFormat` string to its strategy class.
+ */
+const INPUT_PARSER_REGISTRY = {
+  json: JsonInputParser,
+  ndjson: NdjsonInputParser,
+  csv: CsvInputParser,
+  tsv: TsvInputParser,
+  yaml: YamlInputParser
+};
+
+export const INPUT_FORMATS = Object.keys(INPUT_PARSER_REGISTRY);
+
+export class InputParserFactory {
+  /**
+   * Create an input parser for the given input format (default json).
+   */
+  static create(inputFormat, options = {}) {
+    const Strategy = INPUT_PARSER_REGISTRY[inputFormat || "json"];
+    if (!Strategy) {
+      throw new Error(`Invalid input format: ${inputFormat}`);
+    }
+    return new Strategy(options);
+  }
+}
@@ -139,6 +139,11 @@ export class MarkdownRenderer {
    * Check if a row contains actual data (not header labels)
    */
   isDataRow(rowNum, columnCount) {
+    // Group header rows (--groupBy) hold a single label but always follow the headers
+    if (this.table.isGroupHeaderRow(rowNum)) {
+      return true;
+    }
+
     let nonEmptyCount = 0;
     let hasComplexData = false;
 
@@ -489,6 +494,8 @@ export class MarkdownRenderer {
    */
   renderRow(rowNum, columnCount) {
     const rowHeight = this.table.getRowHeight(rowNum);
+    const isEmphasized =
+      this.table.isFooterRow(rowNum) || this.table.isSubtotalRow(rowNum) || this.table.isGroupHeaderRow(rowNum);
     const lines = [];
 
     for (let lineIndex = 0; lineIndex < rowHeight; lineIndex++) {
@@ -501,7 +508,9 @@ export class MarkdownRenderer {
         // Get the line content for this line index (ignore formatting for MD)
         const content = lineIndex < cell.multiline.length ? cell.multiline[lineIndex] : '';
         const cleanContent = this.cleanContentForMarkdown(content);
-        cellContents.push(cleanContent);
+
+        // Group labels and aggregate values are bold to set them apart from the data
+        cellContents.push(isEmphasized && cleanContent ? `**${cleanContent}**` : cleanContent);
       }
 
       // Create markdown row: | cell1 | cell2 | cell3 |
@@ -0,0 +1,14 @@
+/**
+ * Numeric values - numbers and the strings holding one (`"42"`, `" -1.5 "`), as JSON strings
+ * and csv fields often do. Sorting, aggregates, color rules and where expressions all treat
+ * such strings as numbers.
+ */
+
+const NUMERIC_TEXT = /^\s*-?\d+(\.\d+)?\s*$/;
+
+/**
+ * Whether a value is a number or a string holding one
+ */
+export function isNumeric(value) {
+  return typeof value === "number" || (typeof value === "string" && NUMERIC_TEXT.test(value));
+}
@@ -0,0 +1,168 @@
+/**
+ * Pivot (crosstab) tables - turns flat records into a matrix before they are laid out.
+ *
+ * In pivot mode (`--pivot true`) the structure names three top-level columns instead of the
+ * columns to show: `region,month,sales{agg:sum,format:currency}`
+ *
+ *   - the row key     one table row per distinct value (region)
+ *   - the column key  one generated column per distinct value (month), labelled with the
+ *                     value formatted by the key's own `format`
+ *   - the value       aggregated per row/column cell with its `agg` (default sum, see
+ *                     Aggregate.js); the generated columns take its properties, so the
+ *                     cells go through its ValueFormatter like any other value
+ *
+ * Keys may be dot paths or computed columns. Rows and columns are ordered by their key values
+ * (`sort:desc` on a key reverses it), missing keys last as `(empty)`.
+ *
+ * Totals (`--pivotTotals`) are aggregated from the raw values, not from the cells:
+ *   - rows     a Total column with the aggregate of every row
+ *   - columns  a Total footer row with the aggregate of every column
+ *   - both     both, with the grand total in the corner
+ *
+ * The result is a set of records and an already parsed structure (labels come from the data,
+ * so they cannot be written in the structure language), plus the footer record, if any.
+ */
+import { computeAggregate, isFormattedAggregate, validateAggregates } from "./Aggregate.js";
+import { evaluate } from "./Expression.js";
+import { dateKey, getPathValue, groupRecords, sortOrder } from "./Sort.js";
+import { parseStructure } from "./Structure.js";
+import { ValueFormatterFactory } from "./ValueFormatter.js";
+
+export const PIVOT_TOTALS = ["none", "rows", "columns", "both"];
+
+const ROW_FIELD = "row";
+const TOTAL_FIELD = "total";
+const TOTAL_LABEL = "Total";
+const EMPTY_LABEL = "(empty)";
+
+/**
+ * Check the structure of a pivot table and return its { rowKey, columnKey, value } items
+ */
+export function resolvePivotStructure(parsedStructure) {
+  const isValid =
+    parsedStructure.length === 3 && parsedStructure.every(item => !item.group || item.group.length === 0);
+  if (!isValid) {
+    throw new Error(
+      "Pivot tables need a structure with a row key, a column key and a value, e.g. region,month,sales{agg:sum}"
+    );
+  }
+
+  const [rowKey, columnKey, value] = parsedStructure;
+  validateAggregates([value]);
+
+  return { rowKey, columnKey, value };
+}
+
+/**
+ * Pivot the records. Returns { records, structure, footer } where footer is the column totals
+ * record or null.
+ */
+export function pivotRecords(records, parsedStructure, totals = "none") {
+  const { rowKey, columnKey, value } = resolvePivotStructure(parsedStructure);
+  const agg = value.properties.agg || "sum";
+
+  const keyed = records.map(record => ({
+    row: valueOf(rowKey, record),
+    column: valueOf(columnKey, record),
+    value: valueOf(value, record)
+  }));
+
+  const rows = orderedGroups(keyed, "row", rowKey);
+  const columns = orderedGroups(keyed, "column", columnKey);
+
+  const columnOf = new Array(keyed.length);
+  columns.forEach((column, index) => column.indices.forEach(recordIndex => (columnOf[recordIndex] = index)));
+
+  const aggregate = indices => computeAggregate(agg, indices.map(index => keyed[index].value)).value;
+  const showRowTotals = totals === "rows" || totals === "both";
+  const showColumnTotals = totals === "columns" || totals === "both";
+
+  const pivoted = rows.map(row => {
+    const cells = columns.map(() => []);
+    row.indices.forEach(index => cells[columnOf[index]].push(index));
+
+    const record = { [ROW_FIELD]: row.value === undefined ? EMPTY_LABEL : row.value };
+    cells.forEach((indices, index) => (record[columnField(index)] = aggregate(indices)));
+    if (showRowTotals) {
+      record[TOTAL_FIELD] = aggregate(row.indices);
+    }
+    return record;
+  });
+
+  let footer = null;
+  if (showColumnTotals) {
+    footer = { [ROW_FIELD]: TOTAL_LABEL };
+    columns.forEach((column, index) => (footer[columnField(index)] = aggregate(column.indices)));
+    if (showRowTotals) {
+      footer[TOTAL_FIELD] = aggregate(keyed.map((_, index) => index));
+    }
+  }
+
+  return { records: pivoted, structure: buildStructure(rowKey, columnKey, value, columns, showRowTotals), footer };
+}
+
+/**
+ * The structure of the pivot table: the row key column, one column per column key value and
+ * the row totals column
+ */
+function buildStructure(rowKey, columnKey, value, columns, showRowTotals) {
+  const fields = [ROW_FIELD, ...columns.map((_, index) => columnField(index))];
+  if (showRowTotals) {
+    fields.push(TOTAL_FIELD);
+  }
+
+  // The keys order the rows and columns themselves, and count and distinct are plain numbers
+  const rowProperties = { ...rowKey.properties };
+  delete rowProperties.sort;
+  const cellProperties = { ...value.properties };
+  delete cellProperties.agg;
+  delete cellProperties.sort;
+  if (!isFormattedAggregate(value.properties.agg || "sum")) {
+    delete cellProperties.format;
+  }
+
+  const columnFormatter = ValueFormatterFactory.create(columnKey.properties);
+
+  return parseStructure(fields.join(",")).map((item, index) => {
+    if (index === 0) {
+      return { ...item, label: rowKey.label || rowKey.field, properties: rowProperties };
+    }
+    const column = columns[index - 1];
+    const label = column ? keyLabel(column.value, columnFormatter) : TOTAL_LABEL;
+    return { ...item, label, properties: { ...cellProperties } };
+  });
+}
+
+/**
+ * Distinct values of a key in order: ascending (or `sort:desc`), missing values last
+ */
+function orderedGroups(keyed, path, keyItem) {
+  const groups = groupRecords(keyed, path);
+  const key = {
+    path,
+    direction: keyItem.properties.sort === "desc" ? "desc" : "asc",
+    nulls: "last",
+    date: dateKey(keyItem.properties)
+  };
+  return sortOrder(
+    groups.map(group => keyed[group.indices[0]]),
+    [key]
+  ).map(index => groups[index]);
+}
+
+function valueOf(item, record) {
+  const value = item.computed ? evaluate(item.computed, record) : getPathValue(record, item.field);
+  return value === null ? undefined : value;
+}
+
+function keyLabel(value, formatter) {
+  if (value === undefined) {
+    return EMPTY_LABEL;
+  }
+  const formatted = formatter.format(value);
+  return formatted === null || formatted === undefined ? "" : String(formatted);
+}
+
+function columnField(index) {
+  return `c${index + 1}`;
+}
@@ -0,0 +1,137 @@
+/**
+ * Root path selector - picks the part of a JSON document that should be tabulated.
+ *
+ * API responses usually wrap the interesting list, e.g. {"data":{"items":[...]}}; the root
+ * path `data.items` selects that array before validation and structure generation run.
+ *
+ * Syntax:
+ *   - `a.b.c`         object keys separated by dots
+ *   - `items[0]`      array index (negative indices count from the end: `items[-1]`)
+ *   - `items.0`       a numeric segment also indexes arrays
+ *   - `*` / `[*]`     wildcard over array elements or object values
+ *   - `["a.b"]`       quoted key for names containing dots or brackets
+ *
+ * Without wildcards the single selected value is returned. With wildcards every match is
+ * collected and matches that are arrays are flattened one level, so `regions.*.items`
+ * returns the items of all regions as one list.
+ */
+
+/**
+ * Split a root path into tokens: { key }, { index } or { wildcard: true }
+ */
+export function parseRootPath(path) {
+  const tokens = [];
+  let i = 0;
+
+  const fail = () => {
+    throw new Error(`Invalid root path: ${path} (at position ${i + 1})`);
+  };
+
+  while (i < path.length) {
+    const char = path[i];
+
+    if (char === ".") {
+      // A dot must separate two segments
+      if (i === 0 || i === path.length - 1 || path[i + 1] === ".") {
+        fail();
+      }
+      i++;
+    } else if (char === "[") {
+      const end = findClosingBracket(path, i);
+      if (end === -1) {
+        fail();
+      }
+      tokens.push(parseBracket(path.substring(i + 1, end).trim(), fail));
+      i = end + 1;
+    } else {
+      let end = i;
+      while (end < path.length && path[end] !== "." && path[end] !== "[") {
+        end++;
+      }
+      const segment = path.substring(i, end);
+      tokens.push(segment === "*" ? { wildcard: true } : { key: segment });
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Resolve a root path against a document. Returns undefined when nothing matches.
+ */
+export function selectRootPath(document, path) {
+  const tokens = parseRootPath(path);
+  const hasWildcard = tokens.some(token => token.wildcard);
+
+  let values = [document];
+  tokens.forEach(token => {
+    values = values.flatMap(value => step(value, token));
+  });
+
+  if (!hasWildcard) {
+    return values[0];
+  }
+
+  return values.length > 0 ? values.flatMap(value => (Array.isArray(value) ? value : [value])) : undefined;
+}
+
+function step(value, token) {
+  if (value === null || typeof value !== "object") {
+    return [];
+  }
+
+  if (token.wildcard) {
+    return Array.isArray(value) ? value : Object.values(value);
+  }
+
+  if (token.index !== undefined) {
+    return Array.isArray(value) ? elementAt(value, token.index) : [];
+  }
+
+  if (Array.isArray(value)) {
+    return /^-?\d+$/.test(token.key) ? elementAt(value, parseInt(token.key)) : [];
+  }
+
+  return Object.prototype.hasOwnProperty.call(value, token.key) ? [value[token.key]] : [];
+}
+
+function elementAt(array, index) {
+  const position = index < 0 ? array.length + index : index;
+  return position >= 0 && position < array.length ? [array[position]] : [];
+}
+
+function parseBracket(content, fail) {
+  if (content === "*") {
+    return { wildcard: true };
+  }
+  if (/^-?\d+$/.test(content)) {
+    return { index: parseInt(content) };
+  }
+
+  const quoted = content.match(/^(["'])(.*)\1$/);
+  if (quoted) {
+    return { key: quoted[2] };
+  }
+
+  return fail();
+}
+
+function findClosingBracket(path, start) {
+  let quote = null;
+
+  for (let i = start + 1; i < path.length; i++) {
+    const char = path[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "]") {
+      return i;
+    }
+  }
+
+  return -1;
+}
@@ -0,0 +1,237 @@
+/**
+ * Row sorting - orders the records before they are laid out in the table.
+ *
+ * Sort keys come from the `--sort` option or, when it is absent, from `sort:asc|desc` column
+ * properties in the structure (in column order). Every key is { path, direction, nulls, date }:
+ *
+ *   - path       dot path of the value inside the record (`address.city`); an array on the way
+ *                contributes its first element, like a row of the table does
+ *   - direction  asc or desc
+ *   - nulls      first or last (default): where null, undefined and empty values go,
+ *                whatever the direction
+ *   - date       compare as dates, read with the column's { inputPattern, unit }; set for
+ *                `format:date|datetime|time|relative` columns, false otherwise
+ *
+ * Numbers (and numeric strings) compare numerically, booleans false before true and other
+ * strings with a locale-aware collation that orders embedded numbers naturally (item2 < item10).
+ * The sort is stable, so records with equal keys keep their input order.
+ *
+ * Option syntax: `--sort "age:desc,name"`, each key optionally followed by `:asc`/`:desc` and
+ * `:nullsFirst`/`:nullsLast`. A computed column (`=price*qty:Total`) is named by its label.
+ *
+ * Grouping (`--groupBy customer`) partitions the sorted records by the value of one key.
+ */
+import { isNumeric } from "./Numeric.js";
+import { DATE_FORMATS, parseTimestamp } from "./ValueFormatter.js";
+
+const DIRECTIONS = ["asc", "desc"];
+const NULL_PLACEMENTS = ["first", "last"];
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+/**
+ * Parse the `--sort` option into sort keys
+ */
+export function parseSortOption(option) {
+  if (!option || option.trim() === "") {
+    return [];
+  }
+
+  return option.split(",").map(entry => {
+    const [path, ...modifiers] = entry.split(":").map(part => part.trim());
+    if (!path) {
+      throw new Error(`Invalid sort key: ${entry.trim()}`);
+    }
+
+    const key = { path, direction: "asc", nulls: "last" };
+    modifiers.forEach(modifier => {
+      if (DIRECTIONS.includes(modifier)) {
+        key.direction = modifier;
+      } else if (modifier === "nullsFirst" || modifier === "nullsLast") {
+        key.nulls = modifier === "nullsFirst" ? "first" : "last";
+      } else {
+        throw new Error(`Invalid sort key: ${entry.trim()} (unknown modifier "${modifier}")`);
+      }
+    });
+    return key;
+  });
+}
+
+/**
+ * Resolve the sort keys for a parsed structure: the `--sort` keys when given, otherwise the
+ * columns with a `sort` property. Keys on `format:date|datetime|time|relative` columns compare
+ * as dates.
+ */
+export function resolveSortKeys(parsedStructure, option) {
+  const columns = collectColumns(parsedStructure);
+
+  const keys = option
+    ? parseSortOption(option)
+    : columns
+        .filter(column => column.properties.sort !== undefined)
+        .map(column => {
+          const { sort, nulls = "last" } = column.properties;
+          if (!DIRECTIONS.includes(sort)) {
+            throw new Error(`Invalid sort direction for ${column.path}: ${sort}`);
+          }
+          if (!NULL_PLACEMENTS.includes(nulls)) {
+            throw new Error(`Invalid null placement for ${column.path}: ${nulls}`);
+          }
+          return { path: column.path, direction: sort, nulls };
+        });
+
+  return keys.map(key => {
+    const column = findColumn(parsedStructure, key.path);
+    if (!column) {
+      return { ...key, date: false };
+    }
+    return { ...key, path: column.path, date: dateKey(column.properties) };
+  });
+}
+
+/**
+ * The `date` of a sort key on a column with these properties
+ */
+export function dateKey(properties) {
+  if (!DATE_FORMATS.includes(properties.format)) {
+    return false;
+  }
+  return { inputPattern: properties.inputPattern, unit: properties.unit };
+}
+
+/**
+ * Find the leaf column a sort or group key names: by its dot path, or by its label for
+ * computed columns, which have no path in the records. Returns { path, label, computed,
+ * properties } or undefined.
+ */
+export function findColumn(parsedStructure, name) {
+  const columns = collectColumns(parsedStructure);
+  return (
+    columns.find(candidate => candidate.path === name) ||
+    columns.find(candidate => candidate.computed && candidate.label === name)
+  );
+}
+
+/**
+ * Return the order in which the records should be shown, as indices into `records`
+ */
+export function sortOrder(records, keys) {
+  const values = records.map(record => keys.map(key => sortValue(getPathValue(record, key.path), key)));
+
+  return records
+    .map((_, index) => index)
+    .sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const result = compareValues(values[a][i], values[b][i], keys[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a - b;
+    });
+}
+
+/**
+ * Partition the records by the value at `path` (`--groupBy`), keeping the groups in order of
+ * first appearance and the records of a group in input order. Values are compared like sort
+ * values, so 30 and "30" share a group, and missing values form one group.
+ * Returns [{ value, indices }].
+ */
+export function groupRecords(records, path) {
+  const groups = new Map();
+
+  records.forEach((record, index) => {
+    const value = getPathValue(record, path);
+    const normalized = sortValue(value, { date: false });
+    const groupKey = normalized === null ? null : `${typeof normalized}:${normalized}`;
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { value: normalized === null ? undefined : value, indices: [] });
+    }
+    groups.get(groupKey).indices.push(index);
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Leaf columns of the structure with their dot path and properties
+ */
+function collectColumns(items, parentPath = "") {
+  return items.flatMap(item => {
+    const path = parentPath ? `${parentPath}.${item.field}` : item.field;
+    if (item.group && item.group.length > 0) {
+      return collectColumns(item.group, path);
+    }
+    return [{ path, label: item.label, computed: !!item.computed, properties: item.properties || {} }];
+  });
+}
+
+/**
+ * Value at a dot path of a record; arrays on the way contribute their first element
+ */
+export function getPathValue(record, path) {
+  let current = record;
+  for (const part of path.split(".")) {
+    if (Array.isArray(current)) {
+      current = current[0];
+    }
+    if (current === null || current === undefined || typeof current !== "object") {
+      return undefined;
+    }
+    current = current[part];
+  }
+  return Array.isArray(current) ? current[0] : current;
+}
+
+/**
+ * Normalize a value for comparison: null for missing values, a timestamp for dates, a number
+ * for numeric values, otherwise a boolean or a string
+ */
+function sortValue(value, key) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  if (key.date) {
+    const time = parseTimestamp(value, key.date);
+    if (!isNaN(time)) {
+      return time;
+    }
+  }
+
+  if (typeof value === "number" || typeof value === "boolean") {
+    return value;
+  }
+  if (isNumeric(value)) {
+    return Number(value);
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function compareValues(a, b, key) {
+  if (a === null || b === null) {
+    if (a === b) {
+      return 0;
+    }
+    const nullFirst = key.nulls === "first" ? -1 : 1;
+    return a === null ? nullFirst : -nullFirst;
+  }
+
+  const result = compareTyped(a, b);
+  return key.direction === "desc" ? -result : result;
+}
+
+/**
+ * Compare two non-null values; booleans sort before numbers and numbers before strings
+ */
+function compareTyped(a, b) {
+  const rank = value => (typeof value === "boolean" ? 0 : typeof value === "number" ? 1 : 2);
+  if (rank(a) !== rank(b)) {
+    return rank(a) - rank(b);
+  }
+  if (typeof a === "string") {
+    return collator.compare(a, b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
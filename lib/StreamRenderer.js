@@ -0,0 +1,197 @@
+/**
+ * Stream Renderer - prints records as they arrive instead of waiting for the end of input,
+ * so unbounded inputs (e.g. `tail -f app.log`) render continuously.
+ *
+ * The layout is frozen after the first `sampleSize` records: the structure (explicit, or
+ * inferred by generateStructureFromJson from the sample) and the ASCII column widths are
+ * computed once and printed together with the sampled rows. Every later record is parsed
+ * into its own Table and rendered with those same widths; a value wider than its frozen
+ * text column is wrapped to it, exactly like a {width:N} column, so earlier rows never reflow.
+ * Explicit {width:N} columns keep their width as usual. With `maxWidth` the frozen widths are
+ * fitted to it (see AsciiRenderer) and later values are cut instead of wrapped when `fit` is
+ * truncate or the column has an overflow mode. Right-aligned (numeric) columns and
+ * <invalid line> rows are never wrapped, since breaking a number or the marker apart would
+ * be worse than overflowing the column.
+ *
+ * Like the other renderers, all the JSON handling is delegated to TableParser.
+ */
+import { Table } from "./Table.js";
+import { TableParser } from "./TableParser.js";
+import { AsciiRenderer } from "./AsciiRenderer.js";
+import { CsvRenderer } from "./CsvRenderer.js";
+import { generateStructureFromJson } from "./AutoStructure.js";
+
+export const STREAM_FORMATS = ["ascii", "csv"];
+
+const DEFAULT_SAMPLE_SIZE = 10;
+
+export class StreamRenderer {
+  constructor(format, structure = "", options = {}) {
+    this.format = format;
+    this.structure = structure;
+    this.lineNumbers = !!options.lineNumbers;
+    this.showInvalidLines = !!options.showInvalidLines;
+    this.sampleSize = Math.max(1, options.sampleSize || DEFAULT_SAMPLE_SIZE);
+    this.maxWidth = options.maxWidth || 0;
+    this.fit = options.fit || "wrap";
+    this.headerStyle = options.headerStyle;
+    this.colorLevel = options.colorLevel;
+    this.write = options.write || (text => console.log(text));
+
+    // Buffered entries until the layout is frozen: { lineNumber, item } or { lineNumber, invalid }
+    this.sample = [];
+    this.sampledRecords = 0;
+    this.started = false;
+    this.columnWidths = null;
+  }
+
+  /**
+   * Add a valid record read from the given source line
+   */
+  async add(item, lineNumber) {
+    await this.push({ lineNumber, item });
+  }
+
+  /**
+   * Add an invalid line ({ lineNumber, reason }). It is only rendered with showInvalidLines.
+   */
+  async addInvalid(invalidLine) {
+    if (!this.showInvalidLines) {
+      return;
+    }
+    await this.push({ lineNumber: invalidLine.lineNumber, invalid: invalidLine });
+  }
+
+  /**
+   * Flush the sample when the input ends before the sample size was reached
+   */
+  async end() {
+    if (!this.started) {
+      await this.start();
+    }
+  }
+
+  async push(entry) {
+    if (this.started) {
+      await this.renderEntries([entry], false);
+      return;
+    }
+
+    this.sample.push(entry);
+    if (entry.item) {
+      this.sampledRecords++;
+    }
+
+    if (this.sampledRecords >= this.sampleSize) {
+      await this.start();
+    }
+  }
+
+  /**
+   * Freeze the structure and the column widths from the sample and print it with the header
+   */
+  async start() {
+    this.started = true;
+
+    if (!this.structure || this.structure.trim() === "") {
+      // Nothing was read at all: an empty stream renders nothing
+      if (this.sample.length === 0) {
+        return;
+      }
+
+      const records = this.sample.filter(entry => entry.item).map(entry => entry.item);
+      this.structure = generateStructureFromJson(records);
+      if (!this.structure) {
+        throw new Error("Unable to generate structure from JSON input");
+      }
+    }
+
+    await this.renderEntries(this.sample, true);
+    this.sample = [];
+  }
+
+  /**
+   * Parse a batch of entries into a fresh Table and write it out
+   */
+  async renderEntries(entries, withHeader) {
+    const records = entries.filter(entry => entry.item);
+    const invalidLines = entries.filter(entry => entry.invalid).map(entry => entry.invalid);
+    const wrapperData = records.map(entry => ({ lineNumber: entry.lineNumber, item: entry.item }));
+
+    const table = new Table();
+    await TableParser.parseIntoTable(
+      table,
+      records.map(entry => entry.item),
+      this.structure,
+      this.lineNumbers,
+      invalidLines,
+      wrapperData
+    );
+
+    const output =
+      this.format === "csv"
+        ? this.renderCsv(table, withHeader)
+        : this.renderAscii(table, withHeader, records.length > 0);
+    if (output) {
+      this.write(output);
+    }
+  }
+
+  renderAscii(table, withHeader, hasRecords) {
+    if (withHeader) {
+      const renderer = new AsciiRenderer(table, this.structure, {
+        maxWidth: this.maxWidth,
+        fit: this.fit,
+        headerStyle: this.headerStyle,
+        colorLevel: this.colorLevel
+      });
+      this.columnWidths = renderer.getColumnWidths();
+      return renderer.printRows(this.columnWidths);
+    }
+
+    const firstDataRow = new AsciiRenderer(table, this.structure).calculateHeaderRowCount() + 1;
+    if (hasRecords) {
+      this.fitToColumnWidths(table, firstDataRow);
+    }
+    const renderer = new AsciiRenderer(table, this.structure, {
+      headerStyle: this.headerStyle,
+      colorLevel: this.colorLevel
+    });
+    return renderer.printRows(this.columnWidths, firstDataRow);
+  }
+
+  renderCsv(table, withHeader) {
+    const renderer = new CsvRenderer(table, this.structure);
+    return withHeader ? renderer.print() : renderer.printRows();
+  }
+
+  /**
+   * Wrap (or truncate) text cells that are wider than the frozen column widths. The last column is never
+   * padded by the ASCII renderer, so it can keep any length.
+   */
+  fitToColumnWidths(table, fromRow) {
+    for (let col = 0; col < table.maxColumn; col++) {
+      const width = this.columnWidths[col];
+      const format = table.getFormat(table.numberToColumn(col));
+      if (format.align === "right") {
+        continue;
+      }
+
+      // A column overflow mode (see TableParser) wins over the table-wide fit mode
+      const overflow = format.overflow || (this.fit === "truncate" ? "ellipsis" : "wrap");
+
+      for (let row = fromRow; row <= table.maxRow; row++) {
+        const cellRef = table.getCellReference(col, row);
+        const cell = table.getCell(cellRef);
+
+        if (cell.multiline.some(line => line.length > width)) {
+          const lines =
+            overflow === "wrap"
+              ? cell.multiline.flatMap(line => TableParser.wrapTextForTable(line, width, true))
+              : cell.multiline.map(line => TableParser.truncateTextForTable(line, width, overflow === "ellipsis"));
+          table.setCell(cellRef, lines);
+        }
+      }
+    }
+  }
+}
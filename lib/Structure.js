@@ -1,17 +1,73 @@
 /**
  * Structure parser - simplified version for new architecture
  * Parses structure strings like "name,logs[level,message],metrics[cpu,memory,disk]"
+ *
+ * A top-level item starting with `=` is a computed column: `=price*qty:Total{format:currency}`.
+ * The expression (see Expression.js) is parsed here and kept as `computed`; its field is a
+ * synthetic `=N` key under which TableParser stores the value of every record, so the value
+ * is formatted and laid out like any other field.
  */
+import { parseExpressionPrefix } from "./Expression.js";
+
+export const COMPUTED_FIELD_PREFIX = '=';
 
 export function parseStructure(structure) {
   if (!structure) return [];
 
-  const parsedItems = parseItems(structure);
+  // Already parsed, e.g. generated for a pivot table whose labels come from the data
+  if (Array.isArray(structure)) return structure;
+
+  const parsedItems = parseItems(structure, { computedCount: 0 }, 1);
 
   // Generate hierarchical keys to avoid conflicts
   return generateHierarchicalKeys(parsedItems);
 }
 
+/**
+ * Number of leaf columns of a parsed structure
+ */
+export function countLeaves(items) {
+  return items.reduce((count, item) => count + (item.group && item.group.length > 0 ? countLeaves(item.group) : 1), 0);
+}
+
+/**
+ * Nesting depth of a parsed structure, i.e. the number of header rows
+ */
+export function structureDepth(items) {
+  return items.reduce((max, item) => {
+    const itemDepth = item.group && item.group.length > 0 ? 1 + structureDepth(item.group) : 1;
+    return Math.max(max, itemDepth);
+  }, 1);
+}
+
+/**
+ * Number of columns in front of the structure columns of a table with this many columns.
+ * The only leading non-structure column is the line number column.
+ */
+export function leadingColumnCount(items, columns) {
+  return Math.max(0, columns - countLeaves(items));
+}
+
+/**
+ * Labels of the structure leaves in column order, nested labels joined with "." to match
+ * the dot-notation key convention (e.g. the csv header)
+ */
+export function leafLabels(items, prefix = '') {
+  return items.flatMap(item => {
+    const label = stripQuotes(String(item.label !== undefined ? item.label : item.field));
+    const path = prefix ? `${prefix}.${label}` : label;
+    return item.group && item.group.length > 0 ? leafLabels(item.group, path) : [path];
+  });
+}
+
+/**
+ * Strip surrounding quotes from a structure label (labels may be quoted, e.g. "Email Address")
+ */
+export function stripQuotes(label) {
+  const isQuoted = label.length >= 2 && label.startsWith('"') && label.endsWith('"');
+  return isQuoted ? label.slice(1, -1) : label;
+}
+
 function generateHierarchicalKeys(items, parentKey = '', parentField = '') {
   return items.map(item => {
     // Create hierarchical key
@@ -35,24 +91,33 @@ function generateHierarchicalKeys(items, parentKey = '', parentField = '') {
   });
 }
 
-function parseItems(str) {
+function parseItems(str, context, level) {
   const items = [];
   let current = '';
   let bracketDepth = 0;
   let braceDepth = 0;
+  let parenDepth = 0;
+  let quote = null;
 
   for (let i = 0; i < str.length; i++) {
     const char = str[i];
 
-    if (char === '[') bracketDepth++;
+    // Computed column expressions may hold commas inside quotes and parentheses
+    const isExpression = current.trimStart().startsWith(COMPUTED_FIELD_PREFIX) && braceDepth === 0;
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (isExpression && (char === '"' || char === "'")) quote = char;
+    else if (isExpression && char === '(') parenDepth++;
+    else if (isExpression && char === ')') parenDepth--;
+    else if (char === '[') bracketDepth++;
     else if (char === ']') bracketDepth--;
     else if (char === '{') braceDepth++;
     else if (char === '}') braceDepth--;
 
     // Only split on top-level commas: braces group multi-key `{format:...}`
     // property lists, so commas inside them must not break the field apart.
-    if (char === ',' && bracketDepth === 0 && braceDepth === 0) {
-      items.push(parseItem(current.trim()));
+    if (char === ',' && !quote && bracketDepth === 0 && braceDepth === 0 && parenDepth === 0) {
+      items.push(parseItem(current.trim(), context, level));
       current = '';
     } else {
       current += char;
@@ -60,13 +125,68 @@ function parseItems(str) {
   }
 
   if (current.trim()) {
-    items.push(parseItem(current.trim()));
+    items.push(parseItem(current.trim(), context, level));
   }
 
   return items;
 }
 
-function parseItem(item) {
+/**
+ * Parse a computed column: `=expression[:Label][{properties}]`. Without a label the
+ * expression text is the header.
+ */
+function parseComputedItem(item, context, level) {
+  const source = item.substring(COMPUTED_FIELD_PREFIX.length);
+
+  if (level > 1) {
+    throw new Error(`Computed columns are only supported at the top level: ${item}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseExpressionPrefix(source);
+  } catch (e) {
+    throw new Error(`Invalid computed column ${item}: ${e.message}`);
+  }
+
+  const expression = source.substring(0, parsed.length).trim();
+  let remaining = source.substring(parsed.length).trim();
+
+  let label = expression;
+  const labelMatch = remaining.match(/^:([^{]+)/);
+  if (labelMatch) {
+    label = labelMatch[1].trim();
+    remaining = remaining.substring(labelMatch[0].length);
+  }
+
+  let properties = {};
+  if (remaining.startsWith('{') && remaining.indexOf('}') !== -1) {
+    properties = parseProperties(remaining.substring(1, remaining.indexOf('}')));
+    remaining = remaining.substring(remaining.indexOf('}') + 1);
+  }
+
+  if (remaining.trim() !== '') {
+    throw new Error(`Invalid computed column ${item}: unexpected "${remaining.trim()}"`);
+  }
+
+  context.computedCount++;
+  const field = `${COMPUTED_FIELD_PREFIX}${context.computedCount}`;
+
+  return {
+    field: field,
+    key: field,
+    label: label,
+    group: null,
+    properties: properties,
+    computed: parsed.node
+  };
+}
+
+function parseItem(item, context, level) {
+  if (item.startsWith(COMPUTED_FIELD_PREFIX)) {
+    return parseComputedItem(item, context, level);
+  }
+
   // Parse field name (everything before first [ or {)
   const fieldMatch = item.match(/^([^:[\]{]+)/);
   if (!fieldMatch) {
@@ -118,7 +238,7 @@ function parseItem(item) {
 
   let group = null;
   if (groupStr) {
-    group = parseItems(groupStr);
+    group = parseItems(groupStr, context, level + 1);
   }
 
   let properties = {};
@@ -135,14 +255,39 @@ function parseItem(item) {
   };
 }
 
+/**
+ * Split a property list on the commas and semicolons outside quotes
+ */
+function splitProperties(propertiesStr) {
+  const properties = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of propertiesStr) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") quote = char;
+
+    if (!quote && (char === ',' || char === ';')) {
+      properties.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  properties.push(current);
+
+  return properties;
+}
+
 function parseProperties(propertiesStr) {
   const properties = {};
 
   if (propertiesStr) {
-    propertiesStr
-      // Properties may be separated by comma or semicolon:
-      //   {width:8}  {format:currency,currency:USD}  {width:8;align:right}
-      .split(/[;,]/)
+    // Properties may be separated by comma or semicolon:
+    //   {width:8}  {format:currency,currency:USD}  {width:8;align:right}
+    // A quoted value keeps its separators: {format:date,pattern:"MMM D, YYYY"}
+    splitProperties(propertiesStr)
       .map(property => {
         const separatorIndex = property.indexOf(":");
         if (separatorIndex === -1) {
@@ -156,7 +301,9 @@ function parseProperties(propertiesStr) {
       .forEach(([key, value]) => {
         if (key && value !== undefined) {
           // Parse numeric values (width, decimals, ...) into numbers
-          if (value !== "" && !isNaN(value)) {
+          if (/^(["']).*\1$/s.test(value) && value.length >= 2) {
+            properties[key] = value.slice(1, -1);
+          } else if (value !== "" && !isNaN(value)) {
             properties[key] = parseInt(value);
           } else {
             properties[key] = value;
@@ -125,6 +125,36 @@ export class Table {
     return { ...rowFormat, ...colFormat, ...cellFormat };
   }
 
+  /**
+   * Whether a row is the aggregate footer row (marked with the `footer` row format)
+   */
+  isFooterRow(rowNum) {
+    return !!this.getFormat(String(rowNum)).footer;
+  }
+
+  /**
+   * Whether a row is the first row of a record (marked with the `recordStart` row format);
+   * a record with array values spans several rows
+   */
+  isRecordStartRow(rowNum) {
+    return !!this.getFormat(String(rowNum)).recordStart;
+  }
+
+  /**
+   * Whether a row is the subtotal row closing a group (marked with the `subtotal` row format)
+   */
+  isSubtotalRow(rowNum) {
+    return !!this.getFormat(String(rowNum)).subtotal;
+  }
+
+  /**
+   * Whether a row is a group header row (marked with the `groupHeader` row format). Its label
+   * is in the first cell and spans the whole row.
+   */
+  isGroupHeaderRow(rowNum) {
+    return !!this.getFormat(String(rowNum)).groupHeader;
+  }
+
   /**
    * Move cell content from one location to another
    */
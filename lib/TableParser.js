@@ -5,17 +5,59 @@
  */
 
 import { ValueFormatterFactory } from "./ValueFormatter.js";
+import { resolveSortKeys, sortOrder, groupRecords, findColumn } from "./Sort.js";
+import { evaluate } from "./Expression.js";
+import { computeAggregate } from "./Aggregate.js";
+import { parseColorRules, resolveColor } from "./ColorRules.js";
+import { stripQuotes } from "./Structure.js";
+
+/**
+ * How a value longer than its column {width:N} is handled:
+ *   - wrap      break it into several lines (default)
+ *   - truncate  cut it to N characters
+ *   - ellipsis  cut it to N characters ending with "…"
+ *   - clip      keep the whole value in the table; the ASCII renderer cuts it at the column edge
+ * Cut values keep their full text in the cell's `fullContent` format for the CSV renderer.
+ */
+export const OVERFLOW_MODES = ["wrap", "truncate", "ellipsis", "clip"];
+
+/**
+ * Validate the `overflow` properties of a parsed structure
+ */
+export function validateOverflow(parsedStructure) {
+  parsedStructure.forEach(item => {
+    if (item.group && item.group.length > 0) {
+      validateOverflow(item.group);
+      return;
+    }
+    const overflow = item.properties && item.properties.overflow;
+    if (overflow !== undefined && !OVERFLOW_MODES.includes(overflow)) {
+      const column = item.label || item.field;
+      throw new Error(
+        `Invalid overflow for ${column}: ${overflow}\nSupported overflow modes: ${OVERFLOW_MODES.join(", ")}`
+      );
+    }
+  });
+}
 
 export class TableParser {
   /**
    * Parse JSON data using structure and populate the Table with cells
    */
-  static async parseIntoTable(table, data, structure, lineNumbers = false, invalidLines = [], wrapperData = null) {
+  static async parseIntoTable(
+    table,
+    data,
+    structure,
+    lineNumbers = false,
+    invalidLines = [],
+    wrapperData = null,
+    options = {}
+  ) {
     // Clear any existing data
     table.clear();
 
     // Use direct structure-based approach - no fallback to legacy
-    await this.populateTableDirectly(table, data, structure, lineNumbers, invalidLines, wrapperData);
+    await this.populateTableDirectly(table, data, structure, lineNumbers, invalidLines, wrapperData, options);
   }
 
   /**
@@ -40,11 +82,28 @@ export class TableParser {
     structure,
     lineNumbers = false,
     invalidLines = [],
-    wrapperData = null
+    wrapperData = null,
+    options = {}
   ) {
     // Parse the structure string into our hierarchical format
     const hierarchicalStructure = await this.parseHierarchicalStructure(structure);
 
+    // Computed columns: store each expression result in the record under its =N field
+    const computedColumns = hierarchicalStructure.filter(field => field.computed);
+    if (computedColumns.length > 0) {
+      data = data.map(item => this.addComputedValues(item, computedColumns));
+      wrapperData = wrapperData && wrapperData.map((wrapper, index) => ({ ...wrapper, item: data[index] }));
+    }
+
+    // Order the records (--sort or sort:asc|desc columns) before any row is laid out
+    const sortKeys = resolveSortKeys(hierarchicalStructure, options.sort);
+    const sorted = sortKeys.length > 0;
+    if (sorted) {
+      const order = sortOrder(data, sortKeys);
+      data = order.map(index => data[index]);
+      wrapperData = wrapperData && order.map(index => wrapperData[index]);
+    }
+
     // Map field paths to column positions (accounting for line numbers)
     const fieldColumnMap = this.buildFieldColumnMap(hierarchicalStructure, lineNumbers);
 
@@ -68,16 +127,144 @@ export class TableParser {
 
     // Populate data rows (including invalid lines if showInvalidLines is true)
     const headerRowCount = this.calculateHeaderRowCount(hierarchicalStructure);
-    this.populateHierarchicalData(
-      table,
-      data,
-      fieldColumnMap,
-      headerRowCount,
-      hierarchicalStructure,
-      lineNumbers,
-      invalidLines,
-      wrapperData
-    );
+    const nextRow = options.groupBy
+      ? this.populateGroupedData(
+          table,
+          data,
+          fieldColumnMap,
+          headerRowCount,
+          hierarchicalStructure,
+          lineNumbers,
+          invalidLines,
+          wrapperData,
+          options.groupBy
+        )
+      : this.populateHierarchicalData(
+          table,
+          data,
+          fieldColumnMap,
+          headerRowCount,
+          hierarchicalStructure,
+          lineNumbers,
+          invalidLines,
+          wrapperData,
+          sorted
+        );
+
+    // Footer row: a given footer record (pivot totals) or the column aggregates (agg:sum|avg|...)
+    if (options.footer) {
+      this.populateFooterRecord(table, options.footer, fieldColumnMap, hierarchicalStructure, nextRow);
+    } else {
+      this.populateAggregateRow(table, data, fieldColumnMap, nextRow, { footer: true });
+    }
+  }
+
+  /**
+   * Write a precomputed record into the footer row, formatted like the data rows
+   */
+  static populateFooterRecord(table, record, fieldColumnMap, hierarchicalStructure, row) {
+    const allValues = this.extractAllValuesWithArrays(record, fieldColumnMap, hierarchicalStructure);
+    this.populateDataItem(table, allValues, row);
+    table.setFormat(String(row), { footer: true });
+  }
+
+  /**
+   * Populate the records group by group (--groupBy): a group header row with the group's value,
+   * the group's rows and, when columns have an `agg` property, a subtotal row. Groups keep the
+   * order of their first record, so sorting by the group key orders the groups. Invalid lines
+   * follow the last group. Returns the row after the last populated row.
+   */
+  static populateGroupedData(
+    table,
+    data,
+    fieldColumnMap,
+    headerRowCount,
+    hierarchicalStructure,
+    lineNumbers,
+    invalidLines,
+    wrapperData,
+    groupBy
+  ) {
+    const column = findColumn(hierarchicalStructure, groupBy);
+    const path = column ? column.path : groupBy;
+    const label = stripQuotes((column && column.label) || groupBy);
+    const formatter = ValueFormatterFactory.create(column ? column.properties : {});
+    let currentRow = headerRowCount + 1;
+
+    groupRecords(data, path).forEach(({ value, indices }) => {
+      const displayValue = value === undefined ? "(empty)" : this.formatCellValue(formatter.format(value));
+      table.setCell(table.getCellReference(0, currentRow), `${label}: ${displayValue}`);
+      table.setFormat(String(currentRow), { groupHeader: true });
+
+      const groupData = indices.map(index => data[index]);
+      const groupWrappers = indices.map(index =>
+        wrapperData ? wrapperData[index] : { lineNumber: index + 1, item: data[index] }
+      );
+      currentRow = this.populateHierarchicalData(
+        table,
+        groupData,
+        fieldColumnMap,
+        currentRow,
+        hierarchicalStructure,
+        lineNumbers,
+        [],
+        groupWrappers
+      );
+
+      if (this.populateAggregateRow(table, groupData, fieldColumnMap, currentRow, { subtotal: true })) {
+        currentRow++;
+      }
+    });
+
+    [...invalidLines]
+      .sort((a, b) => a.lineNumber - b.lineNumber)
+      .forEach(invalidLine => {
+        this.populateInvalidLineRow(table, fieldColumnMap, currentRow, lineNumbers, invalidLine.lineNumber);
+        currentRow++;
+      });
+
+    return currentRow;
+  }
+
+  /**
+   * Write the aggregates of the columns with an `agg` property into `row`, marked with
+   * `rowFormat` (footer or subtotal). Aggregates run over the raw values; sum/avg/min/max are
+   * formatted by the column's formatter. Returns whether the row was written.
+   */
+  static populateAggregateRow(table, data, fieldColumnMap, row, rowFormat) {
+    let hasAggregates = false;
+
+    for (const [fieldKey, fullPath] of fieldColumnMap._pathCache.entries()) {
+      const column = fieldColumnMap.get(fieldKey);
+      const colFormat = column !== undefined ? table.getFormat(table.numberToColumn(column)) : {};
+      if (colFormat.agg === undefined) {
+        continue;
+      }
+
+      const values = data.flatMap(item => this.extractAllArrayValues(item, fullPath));
+      const { value, formatted } = computeAggregate(colFormat.agg, values);
+      const displayValue = formatted ? ValueFormatterFactory.create(colFormat).format(value) : value;
+
+      table.setCell(table.getCellReference(column, row), this.formatCellValue(displayValue));
+      hasAggregates = true;
+    }
+
+    if (hasAggregates) {
+      table.setFormat(String(row), rowFormat);
+    }
+    return hasAggregates;
+  }
+
+  /**
+   * Return a copy of the record with the value of every computed column added
+   */
+  static addComputedValues(item, computedColumns) {
+    const result = { ...item };
+    computedColumns.forEach(column => {
+      const value = evaluate(column.computed, item);
+      result[column.field] = value === null ? undefined : value;
+    });
+    return result;
   }
 
   /**
@@ -255,6 +442,7 @@ export class TableParser {
 
   /**
    * Populate data rows using field column mapping with advanced array handling
+   * Returns the row after the last populated row
    */
   static populateHierarchicalData(
     table,
@@ -264,13 +452,14 @@ export class TableParser {
     hierarchicalStructure,
     lineNumbers = false,
     invalidLines = [],
-    wrapperData = null
+    wrapperData = null,
+    sorted = false
   ) {
     let currentTableRow = headerRowCount + 1; // Start after headers
 
     // If we have invalid lines, we need to process data and invalid lines together
     if (invalidLines.length > 0) {
-      this.populateDataWithInvalidLines(
+      return this.populateDataWithInvalidLines(
         table,
         data,
         fieldColumnMap,
@@ -278,7 +467,8 @@ export class TableParser {
         hierarchicalStructure,
         lineNumbers,
         invalidLines,
-        wrapperData
+        wrapperData,
+        sorted
       );
     } else {
       // Original logic for when there are no invalid lines
@@ -300,6 +490,8 @@ export class TableParser {
         currentTableRow += rowsUsed;
       });
     }
+
+    return currentTableRow;
   }
 
   /**
@@ -326,8 +518,10 @@ export class TableParser {
         ref: colRef,
         format: colFormat,
         formatter: ValueFormatterFactory.create(colFormat),
+        colorRules: colFormat.colorRules !== undefined ? parseColorRules(colFormat.colorRules) : null,
         hasFixedWidth: !!colFormat.width,
-        width: colFormat.width
+        width: colFormat.width,
+        overflow: colFormat.overflow || "wrap"
       });
     }
 
@@ -356,7 +550,15 @@ export class TableParser {
           const formattedValue = columnMeta.formatter.format(rawValue);
           const cellValue = this.formatCellValue(formattedValue);
 
-          if (columnMeta.hasFixedWidth && typeof cellValue === "string" && cellValue.length > columnMeta.width) {
+          const overflows =
+            columnMeta.hasFixedWidth && typeof cellValue === "string" && cellValue.length > columnMeta.width;
+
+          if (overflows && (columnMeta.overflow === "truncate" || columnMeta.overflow === "ellipsis")) {
+            // Cut the value; CSV output still gets the full text
+            const cutText = this.truncateTextForTable(cellValue, columnMeta.width, columnMeta.overflow === "ellipsis");
+            cellOperations.push({ cellRef, value: cutText });
+            formatOperations.push({ ref: cellRef, format: { fullContent: cellValue } });
+          } else if (overflows && columnMeta.overflow !== "clip") {
             // Apply text wrapping and store as multiline content
             const wrappedText = this.wrapTextForTable(cellValue, columnMeta.width);
             cellOperations.push({ cellRef, value: wrappedText });
@@ -364,6 +566,12 @@ export class TableParser {
             cellOperations.push({ cellRef, value: cellValue });
           }
 
+          // Color the cell by its raw value (colorRules); overrides the column color
+          const ruleColor = columnMeta.colorRules && resolveColor(columnMeta.colorRules, rawValue);
+          if (ruleColor) {
+            formatOperations.push({ ref: cellRef, format: { color: ruleColor } });
+          }
+
           // Auto right-align numeric columns (plain numbers and number/currency/
           // percent formats). An explicit `align:` on the column always wins.
           if (columnMeta.formatter.rightAligned(rawValue) && !columnMeta.format.align) {
@@ -383,12 +591,17 @@ export class TableParser {
       table.setFormat(ref, format);
     });
 
+    // Mark where the record starts, it may span several rows (vertical layout)
+    table.setFormat(String(startRow), { recordStart: true });
+
     return { rowsUsed: maxRows };
   }
 
   /**
    * Populate data with invalid lines interspersed
-   * This merges valid data rows with "<invalid line>" rows based on original line numbers
+   * This merges valid data rows with "<invalid line>" rows based on original line numbers.
+   * Sorted data keeps its order and the invalid lines follow it.
+   * Returns the row after the last populated row
    */
   static populateDataWithInvalidLines(
     table,
@@ -398,68 +611,58 @@ export class TableParser {
     hierarchicalStructure,
     lineNumbers,
     invalidLines,
-    wrapperData
+    wrapperData,
+    sorted = false
   ) {
     let currentTableRow = startRow;
-    const invalidLinesByLineNum = new Map();
-
-    // Create a map of line numbers to invalid line info
-    invalidLines.forEach(invalidLine => {
-      invalidLinesByLineNum.set(invalidLine.lineNumber, invalidLine);
-    });
 
-    // Create a combined array of all line numbers (both valid and invalid) in order
-    const allLineNumbers = new Set();
-
-    // Add valid data line numbers
-    if (wrapperData) {
-      wrapperData.forEach(wrapper => {
-        allLineNumbers.add(wrapper.lineNumber);
-      });
-    } else {
-      data.forEach((item, index) => {
-        allLineNumbers.add(index + 1);
-      });
-    }
-
-    // Add invalid line numbers
-    invalidLines.forEach(invalidLine => {
-      allLineNumbers.add(invalidLine.lineNumber);
-    });
+    // One entry per record and per invalid line. Records are merged by position rather than by
+    // line number: a line (or yaml document) whose root selects an array holds several records.
+    const records = data.map((item, index) => ({
+      item,
+      lineNumber: wrapperData ? wrapperData[index].lineNumber : index + 1
+    }));
+    const invalidEntries = invalidLines
+      .map(invalidLine => ({ invalid: true, lineNumber: invalidLine.lineNumber }))
+      .sort((a, b) => a.lineNumber - b.lineNumber);
 
-    // Process all line numbers in order
-    const sortedLineNumbers = Array.from(allLineNumbers).sort((a, b) => a - b);
-    let dataIndex = 0;
+    // Sorted data keeps its order; otherwise a stable sort keeps records of one line together
+    const entries = sorted
+      ? [...records, ...invalidEntries]
+      : [...records, ...invalidEntries].sort((a, b) => a.lineNumber - b.lineNumber);
 
-    sortedLineNumbers.forEach(lineNum => {
-      if (invalidLinesByLineNum.has(lineNum)) {
+    entries.forEach(entry => {
+      if (entry.invalid) {
         // This is an invalid line - add "<invalid line>" row
-        this.populateInvalidLineRow(table, fieldColumnMap, currentTableRow, lineNumbers, lineNum);
+        this.populateInvalidLineRow(table, fieldColumnMap, currentTableRow, lineNumbers, entry.lineNumber);
         currentTableRow += 1;
-      } else {
-        // This is a valid data line - process the data item
-        const item = data[dataIndex];
-        const allValues = this.extractAllValuesWithArrays(item, fieldColumnMap, hierarchicalStructure);
+        return;
+      }
 
-        // Add line number if needed
-        if (lineNumbers) {
-          // Find the line number column (should be column 0)
-          const lineNumColumn = 0;
-          const cellRef = table.getCellReference(lineNumColumn, currentTableRow);
-          table.setCell(cellRef, lineNum.toString());
-        }
+      // This is a valid data line - process the data item
+      const allValues = this.extractAllValuesWithArrays(entry.item, fieldColumnMap, hierarchicalStructure);
 
-        const { rowsUsed } = this.populateDataItem(table, allValues, currentTableRow);
-        currentTableRow += rowsUsed;
-        dataIndex++;
+      // Add line number if needed
+      if (lineNumbers) {
+        // Find the line number column (should be column 0)
+        const lineNumColumn = 0;
+        const cellRef = table.getCellReference(lineNumColumn, currentTableRow);
+        table.setCell(cellRef, entry.lineNumber.toString());
       }
+
+      const { rowsUsed } = this.populateDataItem(table, allValues, currentTableRow);
+      currentTableRow += rowsUsed;
     });
+
+    return currentTableRow;
   }
 
   /**
    * Populate a single invalid line row with "<invalid line>" text
    */
   static populateInvalidLineRow(table, fieldColumnMap, rowNum, lineNumbers, lineNum) {
+    table.setFormat(String(rowNum), { recordStart: true });
+
     // Add line number if needed
     if (lineNumbers) {
       const lineNumColumn = 0;
@@ -1476,9 +1679,10 @@ export class TableParser {
   }
 
   /**
-   * Wrap text to fit within specified width, returns array of lines
+   * Wrap text to fit within specified width, returns array of lines. Long words overflow
+   * the width unless `breakWords` is set (streamed columns, whose widths are frozen).
    */
-  static wrapTextForTable(text, width) {
+  static wrapTextForTable(text, width, breakWords = false) {
     if (!text || width <= 0) return [""];
 
     const words = text.split(" ");
@@ -1491,7 +1695,19 @@ export class TableParser {
       if (testLine.length <= width) {
         currentLine = testLine;
       } else {
-        if (currentLine) {
+        if (breakWords) {
+          if (currentLine) {
+            lines.push(currentLine);
+          }
+
+          // A word longer than the width is broken into width-sized chunks
+          let remaining = word;
+          while (remaining.length > width) {
+            lines.push(remaining.substring(0, width));
+            remaining = remaining.substring(width);
+          }
+          currentLine = remaining;
+        } else if (currentLine) {
           lines.push(currentLine);
           currentLine = word;
         } else {
@@ -1508,4 +1724,12 @@ export class TableParser {
 
     return lines;
   }
+
+  /**
+   * Cut text to the given width, optionally ending it with an ellipsis
+   */
+  static truncateTextForTable(text, width, ellipsis = false) {
+    if (text.length <= width) return text;
+    return ellipsis ? text.substring(0, Math.max(0, width - 1)) + "…" : text.substring(0, width);
+  }
 }
@@ -0,0 +1,124 @@
+/**
+ * Transposed tables - fields as rows and records as columns, to compare a handful of records
+ * side by side (`--transpose true`):
+ *
+ *   field         1        2
+ *   name          staging  production
+ *   db.host       db-stg   db-prd
+ *
+ * The table is first laid out as usual, so values are formatted, wrapped and aligned exactly
+ * as in a horizontal table; transposeTable then moves every record into a column:
+ *
+ *   - the first column lists the leaf structure labels, nested labels joined with "."
+ *   - every record becomes one column, headed by its line number (with --lineNumbers) or its
+ *     position; a record spanning several rows (array values) joins them into one cell
+ *   - the footer row (agg columns) becomes a Total column
+ *   - a cell keeps the formats of its value (alignment, color, fullContent for CSV), except
+ *     the column width, which belonged to the field's column
+ *
+ * The result is a new Table and an already parsed structure for the renderers.
+ */
+import { leadingColumnCount, leafLabels, parseStructure, structureDepth } from "./Structure.js";
+import { Table } from "./Table.js";
+
+const FIELD_LABEL = "field";
+const TOTAL_LABEL = "Total";
+
+// Formats that describe a column or a row of the laid out table, not the value of a cell
+const LAYOUT_FORMATS = ["width", "overflow", "footer", "recordStart", "subtotal", "groupHeader"];
+
+/**
+ * Transpose a laid out table. Returns { table, structure }.
+ */
+export function transposeTable(source, structure) {
+  const parsed = parseStructure(structure);
+  const { columns, rows } = source.getDimensions();
+  const leading = leadingColumnCount(parsed, columns);
+  const fieldColumns = leafLabels(parsed).map((label, index) => ({ label, col: leading + index }));
+
+  const records = collectRecords(source, structureDepth(parsed) + 1, rows);
+  const recordLabels = records.map((record, index) => {
+    if (record.footer) {
+      return TOTAL_LABEL;
+    }
+    const lineNumber = leading > 0 && source.getCell(source.getCellReference(0, record.fromRow)).content;
+    return String(lineNumber || index + 1);
+  });
+
+  const table = new Table();
+  table.setCell(table.getCellReference(0, 1), FIELD_LABEL);
+  recordLabels.forEach((label, index) => {
+    // Line numbers are labels here, not values to right-align
+    const ref = table.getCellReference(index + 1, 1);
+    table.setCell(ref, label);
+    table.setFormat(ref, { align: "left" });
+  });
+
+  fieldColumns.forEach(({ label, col }, fieldIndex) => {
+    const row = fieldIndex + 2;
+    table.setCell(table.getCellReference(0, row), label);
+    records.forEach((record, index) => {
+      const ref = table.getCellReference(index + 1, row);
+      const cell = transposeCell(source, col, record);
+      table.setCell(ref, cell.lines);
+      table.setFormat(ref, cell.format);
+    });
+  });
+
+  const fields = [FIELD_LABEL, ...records.map((_, index) => `r${index + 1}`)];
+  const transposedStructure = parseStructure(fields.join(",")).map((item, index) => ({
+    ...item,
+    label: index === 0 ? FIELD_LABEL : recordLabels[index - 1]
+  }));
+
+  return { table, structure: transposedStructure };
+}
+
+/**
+ * The data rows of every record: from its recordStart row up to the next record or the footer
+ */
+function collectRecords(table, firstRow, totalRows) {
+  const records = [];
+  for (let rowNum = firstRow; rowNum <= totalRows; rowNum++) {
+    const footer = table.isFooterRow(rowNum);
+    const current = records[records.length - 1];
+    if (footer || table.isRecordStartRow(rowNum) || !current) {
+      records.push({ fromRow: rowNum, toRow: rowNum, footer });
+    } else {
+      current.toRow = rowNum;
+    }
+  }
+  return records;
+}
+
+/**
+ * One column of a record as a single cell: the lines of all its non-empty cells and the
+ * formats of the first one
+ */
+function transposeCell(table, col, record) {
+  const refs = [];
+  for (let rowNum = record.fromRow; rowNum <= record.toRow; rowNum++) {
+    const ref = table.getCellReference(col, rowNum);
+    if (table.getCell(ref).content !== "") {
+      refs.push(ref);
+    }
+  }
+  if (refs.length === 0) {
+    return { lines: "", format: {} };
+  }
+
+  const format = { ...table.getCellFormat(refs[0]) };
+  LAYOUT_FORMATS.forEach(name => delete format[name]);
+
+  // CSV writes cut values in full: keep the full text of every cell
+  if (refs.some(ref => table.getFormat(ref).fullContent !== undefined)) {
+    format.fullContent = refs
+      .map(ref => {
+        const { fullContent } = table.getFormat(ref);
+        return fullContent !== undefined ? fullContent : table.getCell(ref).multiline.join(" ");
+      })
+      .join(" ");
+  }
+
+  return { lines: refs.flatMap(ref => table.getCell(ref).multiline), format };
+}
@@ -13,10 +13,70 @@
  * the type string to a strategy via a lookup registry. When no `format` key is
  * present the factory returns `IdentityFormatter`, which leaves values untouched
  * so all existing behavior is preserved.
+ *
+ * Temporal strategies (date, time, datetime) also accept:
+ *
+ *   - pattern       a moment pattern (`YYYY-MM-DD HH:mm`) instead of the Intl styles
+ *   - tz            the IANA time zone to render in (`Europe/Paris`, `UTC`); default local
+ *   - inputPattern  a moment pattern to parse string values with (`DD/MM/YYYY`, `X` for
+ *                   epoch seconds in a string); values not matching it are left as-is
+ *   - unit          the unit of numeric (epoch) values: ms (the default) or s
+ *
+ * `relative` renders a timestamp relative to now ("3 minutes ago", "in 2 days"); a `now`
+ * option fixes the reference time. `duration` renders an amount of time (`unit` ms or s) as
+ * `short` "1h 23m", `long` "1 hour 23 minutes" or `clock` "1:23:00".
+ *
+ * `bytes` renders a byte count in `units` si (kB, MB: powers of 1000, the default) or iec
+ * (KiB, MiB: powers of 1024); `compact` uses the Intl compact notation (1.2K, 3.4M).
+ *
+ * `map` replaces values through an inline mapping (`map:ACTIVE=Active|0=off`, `default` for
+ * the values it does not list); `boolean` shows true/false values as glyphs (`true`, `false`
+ * and `null` options, ✔ and ✘ by default).
  */
+import moment from "moment";
+import { TEXT_STYLES } from "./AnsiStyle.js";
 
 const FALLBACK_LOCALE = "en-US";
 
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Largest unit first: a relative time uses the first unit the difference reaches
+const RELATIVE_UNITS = [
+  { unit: "year", ms: 365 * DAY },
+  { unit: "month", ms: 30 * DAY },
+  { unit: "week", ms: 7 * DAY },
+  { unit: "day", ms: DAY },
+  { unit: "hour", ms: HOUR },
+  { unit: "minute", ms: MINUTE },
+  { unit: "second", ms: SECOND }
+];
+
+const DURATION_PARTS = [
+  { unit: "day", ms: DAY },
+  { unit: "hour", ms: HOUR },
+  { unit: "minute", ms: MINUTE },
+  { unit: "second", ms: SECOND }
+];
+
+// Units of numeric input, in milliseconds: durations and epoch timestamps
+const INPUT_UNITS = { ms: 1, s: SECOND };
+
+// Intl unitDisplay for each duration style; clock is rendered as H:MM:SS
+const DURATION_STYLES = { short: "narrow", long: "long", clock: null };
+
+const COMPACT_DISPLAYS = ["short", "long"];
+
+const TRUE_VALUES = ["true", "1", "yes", "y", "on"];
+const FALSE_VALUES = ["false", "0", "no", "n", "off"];
+
+const BYTE_UNITS = {
+  si: { base: 1000, units: ["B", "kB", "MB", "GB", "TB", "PB", "EB"] },
+  iec: { base: 1024, units: ["B", "KiB", "MiB", "GiB", "TiB", "PiB", "EiB"] }
+};
+
 const HOST_LOCALE = (() => {
   try {
     const resolved = Intl.DateTimeFormat().resolvedOptions().locale;
@@ -61,12 +121,96 @@ function optionValue(value) {
   return value;
 }
 
+/**
+ * The format style of a `style` option, which may also hold text styles for the terminal
+ * (`style:short+bold`, see AnsiStyle.js)
+ */
+function formatStyle(style) {
+  if (optionValue(style) === undefined) {
+    return undefined;
+  }
+  return String(style)
+    .split("+")
+    .map(token => token.trim())
+    .find(token => !TEXT_STYLES[token]);
+}
+
 /**
  * Resolve the effective style for a temporal part. Precedence:
  * explicit part style (dateStyle/timeStyle) > unified `style` > built-in default.
  */
 function resolveTemporalStyle(explicit, style, fallback) {
-  return optionValue(explicit) ?? optionValue(style) ?? fallback;
+  return optionValue(explicit) ?? formatStyle(style) ?? fallback;
+}
+
+/**
+ * Validate a `tz` option; Intl knows the IANA time zone names
+ */
+function resolveTimeZone(timeZone) {
+  if (optionValue(timeZone) === undefined) {
+    return undefined;
+  }
+  try {
+    new Intl.DateTimeFormat(FALLBACK_LOCALE, { timeZone });
+  } catch (e) {
+    throw new Error(`Invalid time zone: ${timeZone}`);
+  }
+  return timeZone;
+}
+
+/**
+ * Offset from UTC in minutes of a time zone at a given instant (daylight saving aware)
+ */
+function timeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat(FALLBACK_LOCALE, {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric"
+  }).formatToParts(date);
+  const part = type => Number(parts.find(candidate => candidate.type === type).value);
+
+  // The wall clock time of the zone read as if it were UTC, minus the instant itself
+  const wallClock = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"));
+  const instant = Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate(),
+    date.getUTCHours(),
+    date.getUTCMinutes()
+  );
+  return Math.round((wallClock - instant) / 60000);
+}
+
+// Formats whose values are timestamps, which sort and group as dates
+export const DATE_FORMATS = ["date", "datetime", "time", "relative"];
+
+/**
+ * The timestamp of a temporal value read like the formatters of a column read it (its
+ * `inputPattern` and `unit`), or NaN when it is not a valid date
+ */
+export function parseTimestamp(value, options = {}) {
+  const date = toDate(value, options.inputPattern, optionValue(options.unit) ?? "ms");
+  return date ? date.getTime() : NaN;
+}
+
+/**
+ * Parse a temporal value into a Date, or null when it is not a valid date
+ */
+function toDate(value, inputPattern, unit = "ms") {
+  let date;
+  if (optionValue(inputPattern) !== undefined) {
+    const parsed = moment(String(value), String(inputPattern), true);
+    date = parsed.isValid() ? parsed.toDate() : null;
+  } else if (typeof value === "number") {
+    date = new Date(value * INPUT_UNITS[unit]);
+  } else {
+    date = new Date(value);
+  }
+  return date && !Number.isNaN(date.getTime()) ? date : null;
 }
 
 /**
@@ -172,21 +316,162 @@ export class PercentFormatter extends NumericFormatter {
   }
 }
 
+/**
+ * A byte count in the largest unit it reaches: 734003200 is "734 MB" (si) or "700 MiB"
+ * (iec). One fraction digit at most unless `decimals` is given; bytes are whole.
+ */
+export class BytesFormatter extends NumericFormatter {
+  constructor(options = {}) {
+    super(options);
+    this.units = BYTE_UNITS[optionValue(options.units) ?? "si"];
+    if (!this.units) {
+      throw new Error(`Invalid byte units: ${options.units}\nSupported units: ${Object.keys(BYTE_UNITS).join(", ")}`);
+    }
+    const locale = resolveLocale(options);
+    this.formatter = new Intl.NumberFormat(locale, applyDecimals({ maximumFractionDigits: 1 }, options));
+    this.byteFormatter = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+  }
+
+  renderNumber(num) {
+    const { base, units } = this.units;
+    let exponent = 0;
+    while (Math.abs(num) >= base ** (exponent + 1) && exponent < units.length - 1) {
+      exponent++;
+    }
+    const formatter = exponent === 0 ? this.byteFormatter : this.formatter;
+    return `${formatter.format(num / base ** exponent)} ${units[exponent]}`;
+  }
+}
+
+/**
+ * Locale-aware compact notation: 1234 is "1.2K" and 3400000 "3.4M" in en-US. `display`
+ * long spells the magnitude out ("3.4 million").
+ */
+export class CompactFormatter extends NumericFormatter {
+  constructor(options = {}) {
+    super(options);
+    const display = optionValue(options.display) ?? "short";
+    if (!COMPACT_DISPLAYS.includes(display)) {
+      throw new Error(`Invalid compact display: ${display}\nSupported displays: ${COMPACT_DISPLAYS.join(", ")}`);
+    }
+    const intlOptions = applyDecimals({ notation: "compact", compactDisplay: display }, options);
+    this.formatter = new Intl.NumberFormat(resolveLocale(options), intlOptions);
+  }
+
+  renderNumber(num) {
+    return this.formatter.format(num);
+  }
+}
+
+/**
+ * Replace values through an inline mapping: `map:ACTIVE=Active|SUSPENDED=On hold|0=off`
+ * (entries separated by `|`, the raw value before the first `=`). Values not in the map
+ * render as `default` when it is given, otherwise unchanged.
+ */
+export class MapFormatter extends IdentityFormatter {
+  constructor(options = {}) {
+    super(options);
+    this.mapping = parseMapping(options.map);
+  }
+
+  format(value) {
+    if (isEmpty(value)) {
+      return "";
+    }
+    const key = typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (this.mapping.has(key)) {
+      return this.mapping.get(key);
+    }
+    return this.options.default !== undefined ? String(this.options.default) : value;
+  }
+
+  rightAligned() {
+    return false;
+  }
+}
+
+function parseMapping(map) {
+  const mapping = new Map();
+  if (optionValue(map) === undefined) {
+    return mapping;
+  }
+
+  String(map)
+    .split("|")
+    .forEach(entry => {
+      const separatorIndex = entry.indexOf("=");
+      if (separatorIndex === -1) {
+        throw new Error(`Invalid map entry: ${entry} (expected value=label)`);
+      }
+      mapping.set(entry.slice(0, separatorIndex).trim(), entry.slice(separatorIndex + 1).trim());
+    });
+  return mapping;
+}
+
+/**
+ * Boolean values as glyphs: `true` (default ✔) and `false` (default ✘) for true/false,
+ * 1/0, yes/no, y/n and on/off in any case, `null` (default empty) for missing values.
+ * Other values render unchanged.
+ */
+export class BooleanFormatter extends IdentityFormatter {
+  format(value) {
+    if (isEmpty(value)) {
+      return this.glyph("null", "");
+    }
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) {
+      return this.glyph("true", "✔");
+    }
+    if (FALSE_VALUES.includes(text)) {
+      return this.glyph("false", "✘");
+    }
+    return value;
+  }
+
+  glyph(name, fallback) {
+    const glyph = this.options[name];
+    return glyph === undefined ? fallback : String(glyph);
+  }
+
+  rightAligned() {
+    return false;
+  }
+}
+
 /**
  * Shared base for temporal strategies. Handles empty/Invalid-Date guarding and
- * delegates rendering to an Intl.DateTimeFormat built by the subclass. Temporal
- * columns keep the default (left) alignment.
+ * delegates rendering to the `pattern` (moment) or to an Intl.DateTimeFormat built
+ * by the subclass. Temporal columns keep the default (left) alignment.
  */
 class TemporalFormatter extends IdentityFormatter {
+  constructor(options = {}) {
+    super(options);
+    this.timeZone = resolveTimeZone(options.tz);
+    this.pattern = optionValue(options.pattern);
+    this.unit = optionValue(options.unit) ?? "ms";
+    if (!INPUT_UNITS[this.unit]) {
+      const supported = Object.keys(INPUT_UNITS).join(", ");
+      throw new Error(`Invalid epoch unit: ${this.unit}\nSupported units: ${supported}`);
+    }
+  }
+
   format(value) {
     if (isEmpty(value)) {
       return "";
     }
-    const date = new Date(value);
-    if (Number.isNaN(date.getTime())) {
+    const date = toDate(value, this.options.inputPattern, this.unit);
+    if (!date) {
       return value;
     }
-    return this.formatter.format(date);
+    return this.pattern !== undefined ? this.formatPattern(date) : this.formatter.format(date);
+  }
+
+  formatPattern(date) {
+    const local = moment(date);
+    if (this.timeZone !== undefined) {
+      local.utcOffset(timeZoneOffset(date, this.timeZone));
+    }
+    return local.format(String(this.pattern));
   }
 
   rightAligned() {
@@ -198,7 +483,8 @@ export class DateFormatter extends TemporalFormatter {
   constructor(options = {}) {
     super(options);
     this.formatter = new Intl.DateTimeFormat(resolveLocale(options), {
-      dateStyle: resolveTemporalStyle(options.dateStyle, options.style, "medium")
+      dateStyle: resolveTemporalStyle(options.dateStyle, options.style, "medium"),
+      timeZone: this.timeZone
     });
   }
 }
@@ -207,7 +493,8 @@ export class TimeFormatter extends TemporalFormatter {
   constructor(options = {}) {
     super(options);
     this.formatter = new Intl.DateTimeFormat(resolveLocale(options), {
-      timeStyle: resolveTemporalStyle(options.timeStyle, options.style, "medium")
+      timeStyle: resolveTemporalStyle(options.timeStyle, options.style, "medium"),
+      timeZone: this.timeZone
     });
   }
 }
@@ -217,8 +504,98 @@ export class DateTimeFormatter extends TemporalFormatter {
     super(options);
     this.formatter = new Intl.DateTimeFormat(resolveLocale(options), {
       dateStyle: resolveTemporalStyle(options.dateStyle, options.style, "medium"),
-      timeStyle: resolveTemporalStyle(options.timeStyle, options.style, "short")
+      timeStyle: resolveTemporalStyle(options.timeStyle, options.style, "short"),
+      timeZone: this.timeZone
+    });
+  }
+}
+
+/**
+ * A timestamp relative to now, e.g. "3 minutes ago" or "in 2 days", in the largest unit
+ * the difference reaches. `now` fixes the reference time (e.g. for reproducible output)
+ * and `style` is the Intl.RelativeTimeFormat style (long, short or narrow).
+ */
+export class RelativeFormatter extends TemporalFormatter {
+  constructor(options = {}) {
+    super(options);
+    this.now = optionValue(options.now) === undefined ? new Date() : toDate(options.now, undefined, this.unit);
+    if (!this.now) {
+      throw new Error(`Invalid now for the relative format: ${options.now}`);
+    }
+    this.formatter = new Intl.RelativeTimeFormat(resolveLocale(options), {
+      style: formatStyle(options.style) ?? "long"
+    });
+  }
+
+  format(value) {
+    if (isEmpty(value)) {
+      return "";
+    }
+    const date = toDate(value, this.options.inputPattern, this.unit);
+    if (!date) {
+      return value;
+    }
+
+    const difference = date.getTime() - this.now.getTime();
+    const { unit, ms } =
+      RELATIVE_UNITS.find(candidate => Math.abs(difference) >= candidate.ms) ||
+      RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+    return this.formatter.format(Math.round(difference / ms), unit);
+  }
+}
+
+/**
+ * An amount of time in `unit` (ms, the default, or s): `short` "1h 23m", `long`
+ * "1 hour 23 minutes" (the non-zero parts from days to seconds, milliseconds only below
+ * a second) or `clock` "1:23:00" (hours, minutes and seconds).
+ */
+export class DurationFormatter extends NumericFormatter {
+  constructor(options = {}) {
+    super(options);
+    this.unit = optionValue(options.unit) ?? "ms";
+    this.style = formatStyle(options.style) ?? "short";
+    if (!INPUT_UNITS[this.unit]) {
+      const supported = Object.keys(INPUT_UNITS).join(", ");
+      throw new Error(`Invalid duration unit: ${this.unit}\nSupported units: ${supported}`);
+    }
+    if (!(this.style in DURATION_STYLES)) {
+      const supported = Object.keys(DURATION_STYLES).join(", ");
+      throw new Error(`Invalid duration style: ${this.style}\nSupported styles: ${supported}`);
+    }
+    this.locale = resolveLocale(options);
+  }
+
+  renderNumber(num) {
+    const total = Math.abs(num) * INPUT_UNITS[this.unit];
+    const sign = num < 0 ? "-" : "";
+    return sign + (this.style === "clock" ? this.renderClock(total) : this.renderParts(total));
+  }
+
+  renderClock(total) {
+    const seconds = Math.floor(total / SECOND);
+    const pad = value => String(value).padStart(2, "0");
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+  }
+
+  renderParts(total) {
+    const unitDisplay = DURATION_STYLES[this.style];
+    const part = (value, unit) =>
+      new Intl.NumberFormat(this.locale, { style: "unit", unit, unitDisplay }).format(value);
+
+    if (total < SECOND) {
+      return part(Math.round(total), "millisecond");
+    }
+
+    let remaining = Math.floor(total / SECOND) * SECOND;
+    const parts = [];
+    DURATION_PARTS.forEach(({ unit, ms }) => {
+      const value = Math.floor(remaining / ms);
+      remaining -= value * ms;
+      if (value > 0) {
+        parts.push(part(value, unit));
+      }
     });
+    return parts.join(" ");
   }
 }
 
@@ -230,9 +607,15 @@ const FORMATTER_REGISTRY = {
   number: NumberFormatter,
   currency: CurrencyFormatter,
   percent: PercentFormatter,
+  bytes: BytesFormatter,
+  compact: CompactFormatter,
+  map: MapFormatter,
+  boolean: BooleanFormatter,
   date: DateFormatter,
   time: TimeFormatter,
-  datetime: DateTimeFormatter
+  datetime: DateTimeFormatter,
+  relative: RelativeFormatter,
+  duration: DurationFormatter
 };
 
 export class ValueFormatterFactory {
@@ -247,4 +630,18 @@ export class ValueFormatterFactory {
     const Strategy = FORMATTER_REGISTRY[options.format] || IdentityFormatter;
     return new Strategy(options);
   }
+
+  /**
+   * Create the formatter of every column of a parsed structure, so invalid options
+   * (an unknown time zone) are reported before any row is laid out
+   */
+  static validate(parsedStructure) {
+    parsedStructure.forEach(item => {
+      if (item.group && item.group.length > 0) {
+        this.validate(item.group);
+      } else {
+        this.create(item.properties);
+      }
+    });
+  }
 }
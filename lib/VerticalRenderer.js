@@ -0,0 +1,146 @@
+/**
+ * Vertical Renderer - prints every record as a block of `label | value` lines (psql's `\x`),
+ * for records with too many fields to read as a horizontal table:
+ *
+ *   -[ RECORD 1 ]-+---------
+ *   name          | Alice
+ *   address.city  | Paris
+ *
+ * It reads the same Table cells as AsciiRenderer (which it extends for colors and text
+ * fitting): labels are the leaf structure labels, nested groups joined with "." like the CSV
+ * header, and values keep their formatting and column colors. A record spans the rows from
+ * its `recordStart` row to the next one, so array values are listed on consecutive lines.
+ *
+ * With line numbers the block is numbered by the record's line number instead of its position.
+ * Group header rows (--groupBy) are printed as their label and aggregate rows as SUBTOTAL and
+ * TOTAL blocks. With `maxWidth` long values are wrapped (or cut when `fit` is truncate).
+ */
+import { AsciiRenderer, MIN_FIT_WIDTH } from './AsciiRenderer.js';
+import { leadingColumnCount, leafLabels, parseStructure } from './Structure.js';
+
+export const LAYOUTS = ['horizontal', 'vertical'];
+
+export class VerticalRenderer extends AsciiRenderer {
+  /**
+   * Render all records as vertical blocks
+   */
+  print() {
+    const { columns, rows, totalCells } = this.dimensions;
+    if (totalCells === 0) {
+      return '';
+    }
+
+    this.precomputeColumnFormats(columns);
+
+    const parsed = parseStructure(this.structure);
+    const leading = leadingColumnCount(parsed, columns);
+    const fieldColumns = leafLabels(parsed).map((label, index) => ({ label, col: leading + index }));
+    const labelWidth = Math.max(...fieldColumns.map(({ label }) => label.length));
+    const valueWidth = this.maxWidth ? Math.max(MIN_FIT_WIDTH, this.maxWidth - labelWidth - 3) : Infinity;
+
+    let recordCount = 0;
+    const blocks = this.collectBlocks(rows).map(block => {
+      if (block.group) {
+        return { label: this.table.getCell(this.table.getCellReference(0, block.fromRow)).content };
+      }
+
+      const fields = fieldColumns
+        .map(({ label, col }) => ({ label, col, lines: this.collectValueLines(col, block, valueWidth) }))
+        .filter(field => !block.aggregate || field.lines.some(line => line !== ''));
+
+      let title = block.aggregate;
+      if (!title) {
+        recordCount++;
+        const lineNumber = leading > 0 && this.table.getCell(this.table.getCellReference(0, block.fromRow)).content;
+        title = `RECORD ${lineNumber || recordCount}`;
+      }
+      return { title, fromRow: block.fromRow, fields };
+    });
+
+    const valueLengths = blocks.flatMap(block =>
+      (block.fields || []).flatMap(field => field.lines.map(line => this.getDisplayLength(line)))
+    );
+    const widestValue = Math.max(0, ...valueLengths);
+
+    const lines = [];
+    blocks.forEach(block => {
+      if (!block.fields) {
+        lines.push(block.label);
+        return;
+      }
+
+      lines.push(this.renderTitleLine(block.title, labelWidth, widestValue));
+      block.fields.forEach(({ label, col, lines: valueLines }) => {
+        valueLines.forEach((line, lineIndex) => {
+          const name = lineIndex === 0 ? this.applyHeaderStyle(label) : '';
+          const padding = ' '.repeat(labelWidth - (lineIndex === 0 ? label.length : 0));
+          const value = line ? this.applyColorOptimized(line, col, block.fromRow) : '';
+          lines.push(`${name}${padding} | ${value}`.trimEnd());
+        });
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Split the data rows into blocks: records (from a recordStart row up to the next block),
+   * group header rows and aggregate rows (subtotals and the footer)
+   */
+  collectBlocks(totalRows) {
+    const blocks = [];
+    for (let rowNum = this.calculateHeaderRowCount() + 1; rowNum <= totalRows; rowNum++) {
+      const isGroup = this.table.isGroupHeaderRow(rowNum);
+      const isFooter = this.table.isFooterRow(rowNum);
+      const isSubtotal = this.table.isSubtotalRow(rowNum);
+      const current = blocks[blocks.length - 1];
+
+      const startsBlock = isGroup || isFooter || isSubtotal || this.table.isRecordStartRow(rowNum);
+      if (startsBlock || !current || current.group) {
+        const aggregate = isFooter ? 'TOTAL' : isSubtotal ? 'SUBTOTAL' : null;
+        blocks.push({ fromRow: rowNum, toRow: rowNum, group: isGroup, aggregate });
+      } else {
+        current.toRow = rowNum;
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * The value lines of a column in a block: every line of every non-empty cell, so array
+   * elements are listed one per line; long lines are fitted to the value width
+   */
+  collectValueLines(col, block, valueWidth) {
+    const lines = [];
+    for (let rowNum = block.fromRow; rowNum <= block.toRow; rowNum++) {
+      const cell = this.table.getCell(this.table.getCellReference(col, rowNum));
+      if (cell.content !== '') {
+        lines.push(...cell.multiline.flatMap(line => this.fitValueLine(line, valueWidth)));
+      }
+    }
+    return lines.length > 0 ? lines : [''];
+  }
+
+  /**
+   * Wrap (or cut, when fit is truncate) a value line longer than the value width
+   */
+  fitValueLine(line, width) {
+    if (this.getDisplayLength(line) <= width) {
+      return [line];
+    }
+    const text = this.removeAnsiCodes(line);
+    return this.fit === 'truncate' ? [this.truncateText(text, width)] : this.wrapText(text, width, true).split('\n');
+  }
+
+  /**
+   * `-[ RECORD n ]` followed by dashes over the label column, a `+` above the separator and
+   * dashes over the values; a title wider than the label column pushes the dashes right
+   */
+  renderTitleLine(title, labelWidth, valueWidth) {
+    const head = `-[ ${title} ]`;
+    if (head.length <= labelWidth + 1) {
+      return head + '-'.repeat(labelWidth + 1 - head.length) + '+' + '-'.repeat(valueWidth + 1);
+    }
+    return head + '-'.repeat(Math.max(1, labelWidth + valueWidth + 3 - head.length));
+  }
+}